@@ -0,0 +1,92 @@
+/**
+ * Errors routes throw to end a request. `errorHandler` turns them into a
+ * `{ code, message }` response with their `status`; `details` are merged
+ * into the body, as with the `errors` list of a failed validation.
+ */
+class AppError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message = "Bad request.", code = "BAD_REQUEST") {
+    super(400, code, message);
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(errors, message = "Invalid request.") {
+    super(400, "VALIDATION_FAILED", message, { errors });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = "Unauthorized.", code = "UNAUTHORIZED") {
+    super(401, code, message);
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = "Not authorized.", code = "FORBIDDEN") {
+    super(403, code, message);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = "Not found.", code = "NOT_FOUND") {
+    super(404, code, message);
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = "Conflict.", code = "CONFLICT") {
+    super(409, code, message);
+  }
+}
+
+class GoneError extends AppError {
+  constructor(message = "Gone.", code = "GONE") {
+    super(410, code, message);
+  }
+}
+
+class PayloadTooLargeError extends AppError {
+  constructor(message = "Payload too large.") {
+    super(413, "PAYLOAD_TOO_LARGE", message);
+  }
+}
+
+class UnsupportedMediaTypeError extends AppError {
+  constructor(message = "Unsupported media type.") {
+    super(415, "UNSUPPORTED_MEDIA_TYPE", message);
+  }
+}
+
+/**
+ * Also sets `Retry-After` to the seconds left until `retryAt`.
+ */
+class TooManyRequestsError extends AppError {
+  constructor(retryAt, message = "Too many requests. Try again later.", code = "RATE_LIMITED") {
+    super(429, code, message);
+    this.retryAt = retryAt;
+  }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  GoneError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
+  TooManyRequestsError
+};
@@ -0,0 +1,38 @@
+/**
+ * Every domain event the API publishes. `topic` is the aggregate the event
+ * belongs to, `version` the version of its `data` shape and `key` picks the
+ * id that orders events of one aggregate. Bump `version` whenever `data`
+ * changes in a way consumers would notice.
+ */
+const EVENTS = {
+  "user.registered": { topic: "users", version: 1, key: data => data.userId },
+  "user.deleted": { topic: "users", version: 1, key: data => data.userId },
+  "user.blocked": { topic: "users", version: 1, key: data => data.userId },
+  "user.unblocked": { topic: "users", version: 1, key: data => data.userId },
+
+  "friend.requested": { topic: "friends", version: 1, key: data => data.fromId },
+  "friend.accepted": { topic: "friends", version: 1, key: data => data.fromId },
+  "friend.declined": { topic: "friends", version: 1, key: data => data.fromId },
+  "friend.request_cancelled": { topic: "friends", version: 1, key: data => data.fromId },
+  "friend.removed": { topic: "friends", version: 1, key: data => data.userId },
+
+  "chat.created": { topic: "chats", version: 1, key: data => data.chatId },
+
+  "message.created": { topic: "messages", version: 1, key: data => data.chatId || data.groupId },
+  "message.edited": { topic: "messages", version: 1, key: data => data.chatId || data.groupId },
+  "message.deleted": { topic: "messages", version: 1, key: data => data.chatId || data.groupId },
+
+  "group.created": { topic: "groups", version: 1, key: data => data.groupId },
+  "group.member_added": { topic: "groups", version: 1, key: data => data.groupId },
+  "group.member_removed": { topic: "groups", version: 1, key: data => data.groupId },
+  "group.deleted": { topic: "groups", version: 1, key: data => data.groupId }
+};
+
+const TOPIC_PREFIX = process.env.EVENT_TOPIC_PREFIX || "peoplesync.";
+
+/**
+ * Full name of the topic events of `topic` are published to.
+ */
+const topicName = (topic) => `${TOPIC_PREFIX}${topic}`;
+
+module.exports = { EVENTS, topicName };
@@ -0,0 +1,30 @@
+const createMemoryTransport = require("./memory");
+const createKafkaTransport = require("./kafka");
+
+/**
+ * Message brokers. Each one exposes `publish(topic, messages)`, which
+ * resolves once every `{ key, value, headers }` message is accepted,
+ * `subscribe(topic, handler, { groupId })`, which calls
+ * `handler(topic, message)` for messages published from then on and
+ * resolves to a function that stops it, and `disconnect()`.
+ * `EVENT_TRANSPORT` picks which one the API and the real-time service use.
+ */
+const transports = {
+  memory: createMemoryTransport,
+  kafka: createKafkaTransport
+};
+
+let transport;
+
+const getEventTransport = () => {
+  if (transport) return transport;
+
+  const name = process.env.EVENT_TRANSPORT || "memory";
+
+  if (!transports[name]) throw new Error(`Unknown event transport: ${name}`);
+
+  transport = transports[name]();
+  return transport;
+}
+
+module.exports = { getEventTransport };
@@ -0,0 +1,69 @@
+const { Kafka, logLevel } = require("kafkajs");
+
+/**
+ * Publishes to Kafka with an idempotent producer. The producer only retries
+ * briefly: the outbox relay owns retrying for longer outages. Every
+ * subscription runs its own consumer in the consumer group it names.
+ */
+module.exports = () => {
+  const kafka = new Kafka({
+    clientId: process.env.KAFKA_CLIENT_ID || "people-sync-api",
+    brokers: (process.env.KAFKA_BROKERS || "kafka:9092").split(",").map(b => b.trim()),
+    retry: { retries: 2 },
+    logLevel: logLevel.WARN
+  });
+
+  const producer = kafka.producer({ idempotent: true, maxInFlightRequests: 1 });
+
+  const consumers = new Set();
+
+  let connecting = null;
+
+  const connect = () => {
+    if (!connecting) {
+      connecting = producer.connect().catch((err) => {
+        connecting = null;
+        throw err;
+      });
+    }
+
+    return connecting;
+  }
+
+  producer.on(producer.events.DISCONNECT, () => {
+    connecting = null;
+  });
+
+  return {
+    name: "kafka",
+
+    publish: async (topic, messages) => {
+      await connect();
+      await producer.send({ topic, messages });
+    },
+
+    subscribe: async (topic, handler, { groupId, fromBeginning = false } = {}) => {
+      const consumer = kafka.consumer({ groupId });
+
+      await consumer.connect();
+      await consumer.subscribe({ topic, fromBeginning });
+      await consumer.run({
+        eachMessage: ({ topic, message }) => handler(topic, message)
+      });
+
+      consumers.add(consumer);
+
+      return async () => {
+        consumers.delete(consumer);
+        await consumer.disconnect();
+      };
+    },
+
+    disconnect: async () => {
+      connecting = null;
+      await Promise.all([...consumers].map(c => c.disconnect()));
+      consumers.clear();
+      await producer.disconnect();
+    }
+  };
+}
@@ -0,0 +1,36 @@
+/**
+ * Hands messages to subscribers of this process. Nothing leaves the process,
+ * which suits local runs without a broker and tests that assert on what was
+ * published.
+ */
+module.exports = () => {
+  // topic -> Set of handlers subscribed to it.
+  const subscriptions = new Map();
+
+  return {
+    name: "memory",
+
+    publish: async (topic, messages) => {
+      const handlers = [...(subscriptions.get(topic) || [])];
+
+      for (const message of messages) {
+        for (const handler of handlers) {
+          await handler(topic, message);
+        }
+      }
+    },
+
+    subscribe: async (topic, handler) => {
+      if (!subscriptions.has(topic)) subscriptions.set(topic, new Set());
+      subscriptions.get(topic).add(handler);
+
+      return async () => {
+        subscriptions.get(topic).delete(handler);
+      };
+    },
+
+    disconnect: async () => {
+      subscriptions.clear();
+    }
+  };
+}
@@ -0,0 +1,182 @@
+const { OutboxEvent } = require("./../schema/outboxEvent");
+const { getEventTransport } = require("./index");
+
+const POLL_INTERVAL_MS = Number(process.env.OUTBOX_POLL_INTERVAL_MS) || 1000;
+const MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS) || 10;
+const BATCH_SIZE = 100;
+const LEASE_MS = 30 * 1000;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+
+const backoff = (attempts) => Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (attempts - 1));
+
+/**
+ * Wire format of an event: a versioned JSON envelope keyed by the id that
+ * orders its aggregate, with the type and version repeated as headers so
+ * consumers can route without parsing.
+ */
+const toMessage = (event) => ({
+  key: event.key,
+  value: JSON.stringify({
+    id: event._id,
+    type: event.type,
+    version: event.version,
+    occurredAt: event.occurredAt,
+    data: event.data
+  }),
+  headers: {
+    "event-type": event.type,
+    "event-version": String(event.version)
+  }
+});
+
+/**
+ * Tells whether an older event of the same key is still pending, be it due,
+ * in flight or backing off. Events of one key go out in order, so `event`
+ * waits for it. Failed events are left for an operator and hold nothing up.
+ */
+const hasPendingPredecessor = (event) => OutboxEvent.exists({
+  topic: event.topic,
+  key: event.key,
+  status: "pending",
+  $or: [
+    { occurredAt: { $lt: event.occurredAt } },
+    { occurredAt: event.occurredAt, _id: { $lt: event._id } }
+  ]
+});
+
+/**
+ * Takes the oldest due event for this relay whose key has no older event
+ * pending. Pushing `nextAttemptAt` out by a lease keeps relays of other
+ * instances off it, and off the later events of its key, while it is in
+ * flight, and lets it be picked up again if this one dies before settling
+ * it.
+ */
+const claim = async () => {
+  const now = new Date();
+  const waitingKeys = new Set();
+
+  const due = OutboxEvent.find({ status: "pending", nextAttemptAt: { $lte: now } }, "_id topic key occurredAt")
+    .sort({ occurredAt: 1, _id: 1 })
+    .cursor();
+
+  for await (const candidate of due) {
+    const key = `${candidate.topic}:${candidate.key}`;
+
+    if (waitingKeys.has(key)) continue;
+
+    if (await hasPendingPredecessor(candidate)) {
+      waitingKeys.add(key);
+      continue;
+    }
+
+    const event = await OutboxEvent.findOneAndUpdate(
+      { _id: candidate._id, status: "pending", nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(now.getTime() + LEASE_MS) }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+
+    // Another relay may have claimed it meanwhile; its key is then taken.
+    if (event) return event;
+    waitingKeys.add(key);
+  }
+
+  return null;
+}
+
+/**
+ * Publishes up to a batch of due events. Resolves to `true` when more may be
+ * waiting. A failed publish is retried later with exponential backoff until
+ * `MAX_ATTEMPTS`, after which the event is marked `failed` and left for an
+ * operator; the batch stops there since the broker is likely unreachable.
+ */
+const drain = async (transport) => {
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const event = await claim();
+
+    if (!event) return false;
+
+    try {
+      await transport.publish(event.topic, [toMessage(event)]);
+      await OutboxEvent.updateOne(
+        { _id: event._id },
+        { status: "published", publishedAt: new Date(), lastError: null }
+      );
+    } catch (err) {
+      const exhausted = event.attempts >= MAX_ATTEMPTS;
+
+      await OutboxEvent.updateOne({ _id: event._id }, {
+        status: exhausted ? "failed" : "pending",
+        nextAttemptAt: new Date(Date.now() + backoff(event.attempts)),
+        lastError: err.message
+      });
+
+      console.log(`[OUTBOX] Publishing ${event.type} ${event._id} failed (attempt ${event.attempts}):`, err.message);
+      return false;
+    }
+  }
+
+  return true;
+}
+
+let wake = null;
+
+/**
+ * Starts publishing outbox events through `transport` in the background,
+ * polling every `OUTBOX_POLL_INTERVAL_MS` and right after `wakeRelay()`.
+ * Resolves `stop()` once the current batch is settled.
+ */
+const startOutboxRelay = (transport = getEventTransport()) => {
+  let timer = null;
+  let running = null;
+  let again = false;
+  let stopped = false;
+
+  const schedule = (ms) => {
+    if (stopped) return;
+
+    clearTimeout(timer);
+    timer = setTimeout(tick, ms);
+    timer.unref();
+  }
+
+  const tick = async () => {
+    again = false;
+
+    running = drain(transport).catch((err) => {
+      console.log("[OUTBOX] Relay failed!\n", err);
+      return false;
+    });
+
+    const more = await running;
+    running = null;
+
+    schedule(more || again ? 0 : POLL_INTERVAL_MS);
+  }
+
+  wake = () => {
+    if (running) again = true;
+    else schedule(0);
+  }
+
+  schedule(0);
+
+  return {
+    stop: async () => {
+      stopped = true;
+      clearTimeout(timer);
+      wake = null;
+      await running;
+    }
+  };
+}
+
+/**
+ * Asks the relay of this process, if any, to look for due events now rather
+ * than at its next poll.
+ */
+const wakeRelay = () => {
+  if (wake) wake();
+}
+
+module.exports = { startOutboxRelay, wakeRelay, toMessage };
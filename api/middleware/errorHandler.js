@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+const { AppError, TooManyRequestsError } = require("./../errors");
+
+const BODY_ERRORS = {
+  413: ["PAYLOAD_TOO_LARGE", "The request body is too large."],
+  415: ["UNSUPPORTED_MEDIA_TYPE", "The request body's charset or encoding is not supported."]
+};
+
+const send = (res, status, code, message, details) => res.status(status).json({ code, message, ...details });
+
+/**
+ * Last middleware of the app. Answers every error with the same
+ * `{ code, message }` envelope: application errors as they were thrown,
+ * Mongoose cast and validation errors as 400s, duplicate keys as 409s,
+ * rejected request bodies with their own status, and anything else as a 500
+ * that does not leak its cause.
+ */
+module.exports = (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  if (err instanceof AppError) {
+    if (err instanceof TooManyRequestsError && err.retryAt) {
+      const seconds = Math.max(1, Math.ceil((new Date(err.retryAt).getTime() - Date.now()) / 1000));
+      res.set("Retry-After", String(seconds));
+    }
+
+    return send(res, err.status, err.code, err.message, err.details);
+  }
+
+  if (err instanceof mongoose.Error.CastError) {
+    return send(res, 400, "INVALID_VALUE", `Invalid ${err.path}.`);
+  }
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    const errors = Object.values(err.errors).map(e => ({ location: "body", field: e.path, message: e.message }));
+    return send(res, 400, "VALIDATION_FAILED", "Invalid request.", { errors });
+  }
+
+  if (err.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    return send(res, 409, "DUPLICATE", fields.length > 0 ? `Duplicate ${fields.join(", ")}.` : "Duplicate value.");
+  }
+
+  // Bodies express.json() could not parse.
+  if (err.type === "entity.parse.failed") {
+    return send(res, 400, "MALFORMED_JSON", "The request body is not valid JSON.");
+  }
+
+  // Bodies express.json() refused: too large, in an unsupported charset or
+  // encoding, and so on. They carry their own status and a safe message.
+  if (err.type && err.expose && err.status >= 400 && err.status < 500) {
+    const [code, message] = BODY_ERRORS[err.status] || ["BAD_REQUEST", "The request body was rejected."];
+    return send(res, err.status, code, message);
+  }
+
+  console.log("[API_SERVICE] Unhandled error!\n", err);
+  send(res, 500, "INTERNAL_ERROR", "Internal server error.");
+}
@@ -1,17 +1,18 @@
-const jwt = require("jsonwebtoken");
+const { verifyAccessToken } = require("./../utils/sessions");
+const { UnauthorizedError } = require("./../errors");
+const asyncHandler = require("./../utils/asyncHandler");
 
-module.exports = (req, res, next) => {
+module.exports = asyncHandler(async (req, res, next) => {
   const token = req.headers.authorization ? req.headers.authorization.split(' ')[1] : null;
 
-  if (!token) {
-    return res.status(401).json({ error: 'Unauthorized - Token not provided' });
-  }
+  if (!token) throw new UnauthorizedError('Unauthorized - Token not provided', 'TOKEN_MISSING');
 
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.userId = decoded.userId;
-    next();
-  } catch (error) {
-    return res.status(401).json({ error: 'Unauthorized - Invalid token' });
-  }
-}
+  const verified = await verifyAccessToken(token);
+
+  if (!verified) throw new UnauthorizedError('Unauthorized - Invalid token', 'TOKEN_INVALID');
+
+  req.userId = verified.userId;
+  req.sessionId = verified.sessionId;
+
+  next();
+});
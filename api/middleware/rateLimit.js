@@ -0,0 +1,23 @@
+const { getRateLimitStore } = require("./../rateLimit");
+const { TooManyRequestsError } = require("./../errors");
+const asyncHandler = require("./../utils/asyncHandler");
+
+/**
+ * Builds a middleware letting at most `max` requests with the same key
+ * through per `windowMs`. `keyOf(req)` names the caller; requests it returns
+ * nothing for are not limited. `name` keeps the counters of different limits
+ * apart.
+ */
+const rateLimit = ({ name, windowMs, max, keyOf }) => asyncHandler(async (req, res, next) => {
+  const key = keyOf(req);
+
+  if (!key) return next();
+
+  const { count, resetAt } = await getRateLimitStore().hit(`${name}:${key}`, windowMs);
+
+  if (count > max) throw new TooManyRequestsError(resetAt);
+
+  next();
+});
+
+module.exports = rateLimit;
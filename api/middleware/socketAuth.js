@@ -0,0 +1,27 @@
+const { verifyAccessToken } = require("./../utils/sessions");
+
+/**
+ * Socket.IO counterpart of `jwtHandler`. Clients pass the same bearer token
+ * either as `auth.token` in the handshake or in the `Authorization` header.
+ */
+module.exports = async (socket, next) => {
+  const { auth, headers } = socket.handshake;
+  const token = auth?.token || (headers.authorization ? headers.authorization.split(' ')[1] : null);
+
+  if (!token) {
+    return next(new Error('Unauthorized - Token not provided'));
+  }
+
+  try {
+    const verified = await verifyAccessToken(token);
+
+    if (!verified) return next(new Error('Unauthorized - Invalid token'));
+
+    socket.userId = verified.userId;
+    socket.sessionId = verified.sessionId;
+  } catch (error) {
+    return next(error);
+  }
+
+  next();
+}
@@ -0,0 +1,50 @@
+const { ValidationError } = require("./../errors");
+
+const LOCATIONS = ["params", "query", "body"];
+
+/**
+ * Builds a middleware checking the request against `schema`, which maps any
+ * of `params`, `query` and `body` to the rules of their fields (see
+ * `utils/rules`). Every failing field is reported at once, each as
+ * `{ location, field, message }` in the `errors` of a `ValidationError`.
+ * Fields the schema does not mention are not checked.
+ */
+const validate = (schema) => (req, res, next) => {
+  const errors = [];
+
+  for (const location of LOCATIONS) {
+    const fields = schema[location];
+    if (!fields) continue;
+
+    const source = req[location];
+
+    if (!source || typeof source !== "object" || Array.isArray(source)) {
+      errors.push({ location, field: null, message: "must be an object" });
+      continue;
+    }
+
+    for (const [field, rule] of Object.entries(fields)) {
+      const value = source[field];
+
+      if (value === undefined || value === null) {
+        if (rule.required) errors.push({ location, field, message: "is required" });
+        else if (value === null && !rule.nullable) errors.push({ location, field, message: "must not be null" });
+        continue;
+      }
+
+      const failure = rule.check(value);
+
+      if (Array.isArray(failure)) {
+        failure.forEach(f => errors.push({ location, field: `${field}${f.suffix}`, message: f.message }));
+      } else if (failure) {
+        errors.push({ location, field, message: failure });
+      }
+    }
+  }
+
+  if (errors.length > 0) return next(new ValidationError(errors));
+
+  next();
+}
+
+module.exports = validate;
@@ -0,0 +1,28 @@
+const createMemoryStore = require("./memory");
+const createMongoStore = require("./mongo");
+
+/**
+ * Rate limit counter stores. Each one exposes `hit(key, windowMs)`, which
+ * counts a request in the current window of `key` and resolves to
+ * `{ count, resetAt }`, plus `get(key)`, `set(key, count, resetAt)` and
+ * `reset(key)`. `RATE_LIMIT_STORE` picks which one the API uses.
+ */
+const stores = {
+  memory: createMemoryStore,
+  mongo: createMongoStore
+};
+
+let store;
+
+const getRateLimitStore = () => {
+  if (store) return store;
+
+  const name = process.env.RATE_LIMIT_STORE || "memory";
+
+  if (!stores[name]) throw new Error(`Unknown rate limit store: ${name}`);
+
+  store = stores[name]();
+  return store;
+}
+
+module.exports = { getRateLimitStore };
@@ -0,0 +1,58 @@
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Keeps counters in this process. Counts are lost on restart and are not
+ * shared between API instances.
+ */
+module.exports = () => {
+  const entries = new Map();
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+
+    if (entry.resetAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+
+    return entry;
+  }
+
+  setInterval(() => {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (entry.resetAt <= now) entries.delete(key);
+    });
+  }, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    name: "memory",
+
+    hit: async (key, windowMs) => {
+      const entry = live(key);
+
+      if (entry) {
+        entry.count += 1;
+        return { ...entry };
+      }
+
+      const created = { count: 1, resetAt: new Date(Date.now() + windowMs) };
+      entries.set(key, created);
+      return { ...created };
+    },
+
+    get: async (key) => {
+      const entry = live(key);
+      return entry ? { ...entry } : null;
+    },
+
+    set: async (key, count, resetAt) => {
+      entries.set(key, { count, resetAt });
+    },
+
+    reset: async (key) => {
+      entries.delete(key);
+    }
+  };
+}
@@ -0,0 +1,52 @@
+const { RateLimit } = require("./../schema/rateLimit");
+
+/**
+ * Keeps counters in MongoDB so that every API instance shares them. Expired
+ * counters are removed by a TTL index on `resetAt`.
+ */
+module.exports = () => {
+  const hit = async (key, windowMs) => {
+    const now = new Date();
+
+    const current = await RateLimit.findOneAndUpdate(
+      { key, resetAt: { $gt: now } },
+      { $inc: { count: 1 } },
+      { new: true }
+    );
+
+    if (current) return { count: current.count, resetAt: current.resetAt };
+
+    try {
+      const started = await RateLimit.findOneAndUpdate(
+        { key, resetAt: { $lte: now } },
+        { count: 1, resetAt: new Date(now.getTime() + windowMs) },
+        { new: true, upsert: true }
+      );
+
+      return { count: started.count, resetAt: started.resetAt };
+    } catch (err) {
+      // Another request opened the window first: count against it.
+      if (err.code === 11000) return hit(key, windowMs);
+      throw err;
+    }
+  }
+
+  return {
+    name: "mongo",
+
+    hit,
+
+    get: async (key) => {
+      const entry = await RateLimit.findOne({ key, resetAt: { $gt: new Date() } });
+      return entry ? { count: entry.count, resetAt: entry.resetAt } : null;
+    },
+
+    set: async (key, count, resetAt) => {
+      await RateLimit.updateOne({ key }, { count, resetAt }, { upsert: true });
+    },
+
+    reset: async (key) => {
+      await RateLimit.deleteOne({ key });
+    }
+  };
+}
@@ -0,0 +1,321 @@
+const { Router } = require("express");
+const crypto = require("crypto");
+const multer = require("multer");
+
+const { Attachment } = require("./../../schema/attachment");
+const { getStorage } = require("./../../storage");
+const { findMessageFor } = require("./../../utils/conversation");
+const validate = require("./../../middleware/validate");
+const asyncHandler = require("./../../utils/asyncHandler");
+const { BadRequestError, ForbiddenError, NotFoundError, PayloadTooLargeError, UnsupportedMediaTypeError } = require("./../../errors");
+const { objectId } = require("./../../utils/rules");
+
+const router = Router();
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_ALLOWED_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+  "application/pdf",
+  "text/plain"
+];
+
+const MAX_BYTES = parseInt(process.env.UPLOAD_MAX_BYTES, 10) || DEFAULT_MAX_BYTES;
+const ALLOWED_TYPES = process.env.UPLOAD_ALLOWED_TYPES
+  ? process.env.UPLOAD_ALLOWED_TYPES.split(",").map(t => t.trim()).filter(Boolean)
+  : DEFAULT_ALLOWED_TYPES;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_TYPES.includes(file.mimetype)) return cb(null, true);
+
+    const err = new Error(`Files of type ${file.mimetype} are not allowed.`);
+    err.code = "UNSUPPORTED_TYPE";
+    cb(err);
+  }
+}).single("file");
+
+const parseUpload = (req, res, next) => upload(req, res, (err) => {
+  if (!err) return next();
+
+  if (err.code === "LIMIT_FILE_SIZE") {
+    return next(new PayloadTooLargeError(`Files may not be larger than ${MAX_BYTES} bytes.`));
+  }
+  if (err.code === "UNSUPPORTED_TYPE") return next(new UnsupportedMediaTypeError(err.message));
+
+  next(new BadRequestError(err.message));
+});
+
+const toAttachmentPayload = (attachment) => ({
+  _id: attachment._id,
+  name: attachment.name,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+  checksum: attachment.checksum,
+  message: attachment.message,
+  createdAt: attachment.createdAt
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Attachments
+ *   description: API endpoints for uploading and downloading message attachments
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ * 
+ * /attachments:
+ *   post:
+ *     summary: Upload an attachment
+ *     description: Stores a single file sent as multipart form data in the `file` field. The returned ID can then be passed in the `attachments` list of `POST /messages`. Uploads are limited in size and MIME type by the server configuration.
+ *     tags: [Attachments]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: The file to upload.
+ *             required:
+ *               - file
+ *     responses:
+ *       201:
+ *         description: Successfully stored the attachment.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 _id:
+ *                   type: string
+ *                   description: The ID of the attachment.
+ *                 name:
+ *                   type: string
+ *                   description: The original file name.
+ *                 mimeType:
+ *                   type: string
+ *                   description: The MIME type of the file.
+ *                 size:
+ *                   type: integer
+ *                   description: The size of the file in bytes.
+ *                 checksum:
+ *                   type: string
+ *                   description: The SHA-256 checksum of the file, hex encoded.
+ *       400:
+ *         description: Bad Request. No file was sent in the `file` field.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating the issue with the request.
+ *       413:
+ *         description: Payload Too Large. The file exceeds the maximum upload size.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating the size limit.
+ *       415:
+ *         description: Unsupported Media Type. Files of this type are not allowed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating the rejected type.
+ *       500:
+ *         description: Internal server error. The server encountered an error while processing the request.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message describing the issue encountered.
+ */
+router.post('/', parseUpload, asyncHandler(async (req, res) => {
+  if (!req.file) throw new BadRequestError("The file field is required.");
+
+  const storage = getStorage();
+  const storageKey = `${req.userId}/${crypto.randomUUID()}`;
+  const checksum = crypto.createHash("sha256").update(req.file.buffer).digest("hex");
+
+  await storage.save(storageKey, req.file.buffer);
+
+  const attachment = new Attachment({
+    uploader: req.userId,
+    name: req.file.originalname,
+    mimeType: req.file.mimetype,
+    size: req.file.size,
+    checksum,
+    storage: storage.name,
+    storageKey
+  });
+
+  await attachment.save();
+
+  res.status(201).json(toAttachmentPayload(attachment));
+}));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Attachments
+ *   description: API endpoints for uploading and downloading message attachments
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ * 
+ * /attachments/{attachmentId}:
+ *   get:
+ *     summary: Download an attachment
+ *     description: Streams the contents of an attachment. Once an attachment is sent, only participants in the chat or group of its message may download it; before that, only the uploader can.
+ *     tags: [Attachments]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         description: The ID of the attachment to download.
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The file contents, served with the attachment's MIME type.
+ *       400:
+ *         description: Bad Request. Invalid attachment ID.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 errors:
+ *                   type: array
+ *                   description: The failing fields.
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       location:
+ *                         type: string
+ *                         description: Where the field is, `params`, `query` or `body`.
+ *                       field:
+ *                         type: string
+ *                       message:
+ *                         type: string
+ *       403:
+ *         description: Forbidden. The user may not access this attachment.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the user is not authorized.
+ *       404:
+ *         description: Not Found. The specified attachment does not exist.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the attachment was not found.
+ *       500:
+ *         description: Internal server error. The server encountered an error while processing the request.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message describing the issue encountered.
+ */
+router.get('/:attachmentId', validate({ params: { attachmentId: objectId() } }), asyncHandler(async (req, res, next) => {
+  const { attachmentId } = req.params;
+
+  const attachment = await Attachment.findById(attachmentId);
+
+  if (!attachment) throw new NotFoundError("Attachment not found.");
+
+  const isUploader = attachment.uploader?.equals(req.userId);
+
+  if (attachment.message) {
+    const { conversation } = await findMessageFor(attachment.message, req.userId);
+    if (!conversation) throw new ForbiddenError("Not authorized.");
+  } else if (!isUploader) {
+    throw new ForbiddenError("Not authorized.");
+  }
+
+  res.set({
+    "Content-Type": attachment.mimeType,
+    "Content-Length": attachment.size,
+    "Content-Disposition": `attachment; filename*=UTF-8''${encodeURIComponent(attachment.name)}`,
+    "X-Content-Type-Options": "nosniff"
+  });
+
+  getStorage().createReadStream(attachment.storageKey)
+    .on("error", (err) => {
+      if (res.headersSent) return res.destroy(err);
+
+      ["Content-Type", "Content-Length", "Content-Disposition"].forEach(h => res.removeHeader(h));
+      next(err);
+    })
+    .pipe(res);
+}));
+
+module.exports = router;
@@ -1,7 +1,152 @@
 const { Router } = require('express');
 const { Chat } = require('./../../schema/chat');
+const { paginateMessages } = require('./../../utils/pagination');
+const { listInbox } = require('./../../utils/inbox');
+const { isBlockedWithAny } = require('./../../utils/blocks');
+const { recordEvent } = require('./../../utils/events');
+const { inTransaction } = require('./../../utils/transaction');
+const validate = require('./../../middleware/validate');
+const asyncHandler = require('./../../utils/asyncHandler');
+const { BadRequestError, ForbiddenError, ValidationError } = require('./../../errors');
+const { optional, objectId, int, array, pageQuery } = require('./../../utils/rules');
 const router = Router();
 
+const MAX_PARTICIPANTS = 100;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Chats
+ *   description: API endpoints for managing chats
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ * 
+ * /chats:
+ *   get:
+ *     summary: List the user's conversations
+ *     description: Returns the chats and groups the authenticated user participates in, most recently active first. Each entry carries a preview of its last message and the number of messages the user has not read yet. Pass the returned `nextCursor` as `before` to load the next page.
+ *     tags: [Chats]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: before
+ *         required: false
+ *         description: The ID of the last conversation of the previous page.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         description: Maximum number of conversations to return (default 20, at most 50).
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the conversation list.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 conversations:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         description: The ID of the chat or group.
+ *                       type:
+ *                         type: string
+ *                         enum: [chat, group]
+ *                         description: Whether the entry is a chat or a group.
+ *                       name:
+ *                         type: string
+ *                         description: The group name, or the other participant's username for chats.
+ *                       participants:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             id:
+ *                               type: string
+ *                             username:
+ *                               type: string
+ *                       lastActivityAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: The time of the last message, or of creation if there is none.
+ *                       lastMessage:
+ *                         type: object
+ *                         nullable: true
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                             description: The ID of the last message.
+ *                           preview:
+ *                             type: string
+ *                             description: The first characters of the last message.
+ *                           attachmentCount:
+ *                             type: integer
+ *                             description: The number of files attached to the last message.
+ *                           sender:
+ *                             type: object
+ *                             properties:
+ *                               id:
+ *                                 type: string
+ *                               username:
+ *                                 type: string
+ *                           timestamp:
+ *                             type: string
+ *                             format: date-time
+ *                       unreadCount:
+ *                         type: integer
+ *                         description: The number of messages from others the user has not read.
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: The cursor for the next page, or null when there are no more conversations.
+ *       400:
+ *         description: Bad Request. The cursor is not one of the user's conversations.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating the cursor is invalid.
+ *       500:
+ *         description: Internal server error. The server encountered an error while processing the request.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message describing the issue encountered.
+ */
+router.get('/', validate({ query: { before: optional(objectId()), limit: optional(int({ min: 1 })) } }), asyncHandler(async (req, res) => {
+  const inbox = await listInbox(req.userId, req.query);
+
+  if (!inbox) throw new BadRequestError("Invalid cursor.");
+
+  res.json(inbox);
+}));
+
 /**
  * @swagger
  * tags:
@@ -18,7 +163,7 @@ const router = Router();
  * /chats:
  *   post:
  *     summary: Create a new chat
- *     description: Creates a new chat with the specified participants. The user making the request must be included in the participants list.
+ *     description: Creates a new chat with the specified participants. The user making the request must be included in the participants list, and none of the other participants may have blocked them or been blocked by them.
  *     tags: [Chats]
  *     security:
  *       - BearerAuth: []
@@ -52,7 +197,7 @@ const router = Router();
  *                     type: string
  *                   description: List of user IDs participating in the chat.
  *       400:
- *         description: Bad Request. The user must be a participant in the chat.
+ *         description: Bad Request. `participants` must list 2 to 100 user IDs, including the user's own.
  *         content:
  *           application/json:
  *             schema:
@@ -60,7 +205,32 @@ const router = Router();
  *               properties:
  *                 message:
  *                   type: string
- *                   description: Error message indicating the user must be a participant.
+ *                 errors:
+ *                   type: array
+ *                   description: The failing fields.
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       location:
+ *                         type: string
+ *                         description: Where the field is, `params`, `query` or `body`.
+ *                       field:
+ *                         type: string
+ *                       message:
+ *                         type: string
+ *       403:
+ *         description: Forbidden. One of the participants blocked the user, or was blocked by them.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating a participant is blocked.
  *       500:
  *         description: Internal server error. The server encountered an error while processing the request.
  *         content:
@@ -68,25 +238,36 @@ const router = Router();
  *             schema:
  *               type: object
  *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
  *                 message:
  *                   type: string
  *                   description: Error message describing the issue encountered.
  */
-router.post('/', async (req, res) => {
+router.post('/', validate({ body: { participants: array(objectId(), { min: 2, max: MAX_PARTICIPANTS }) } }), asyncHandler(async (req, res) => {
   const { participants } = req.body;
 
   if (!participants.includes(req.userId)) {
-    return res.status(400).json({ message: "You must be a participant in the chat." });
+    throw new ValidationError([{ location: "body", field: "participants", message: "must include yourself" }]);
   }
 
-  try {
-    const chat = new Chat({ participants });
-    await chat.save();
-    res.status(201).json(chat);
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+  const others = participants.filter(id => String(id) !== String(req.userId));
+
+  if (await isBlockedWithAny(req.userId, others)) {
+    throw new ForbiddenError("You cannot start a chat with a blocked user.");
   }
-});
+
+  const chat = new Chat({ participants });
+
+  await inTransaction(async () => {
+    await chat.save();
+
+    await recordEvent("chat.created", { chatId: chat._id, participantIds: chat.participants, createdBy: req.userId });
+  });
+
+  res.status(201).json(chat);
+}));
 
 /**
  * @swagger
@@ -104,7 +285,7 @@ router.post('/', async (req, res) => {
  * /chats/{chatId}/messages:
  *   get:
  *     summary: Retrieve messages for a chat
- *     description: Retrieves messages for the specified chat. The user must be a participant in the chat to view messages.
+ *     description: Retrieves a page of messages for the specified chat, newest first. The user must be a participant in the chat to view messages. Pass the returned `nextCursor` as `before` to load older messages, or a message ID as `after` to load messages newer than it.
  *     tags: [Chats]
  *     security:
  *       - BearerAuth: []
@@ -115,36 +296,74 @@ router.post('/', async (req, res) => {
  *         description: The ID of the chat to retrieve messages from.
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: before
+ *         required: false
+ *         description: Only return messages older than the message with this ID.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: after
+ *         required: false
+ *         description: Only return messages newer than the message with this ID.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         description: Maximum number of messages to return (default 50, at most 100).
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
  *         description: Successfully retrieved chat messages.
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   _id:
- *                     type: string
- *                     description: The ID of the message.
- *                   sender:
+ *               type: object
+ *               properties:
+ *                 messages:
+ *                   type: array
+ *                   items:
  *                     type: object
  *                     properties:
  *                       _id:
  *                         type: string
- *                         description: The ID of the user who sent the message.
- *                       username:
+ *                         description: The ID of the message.
+ *                       sender:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                             description: The ID of the user who sent the message.
+ *                           username:
+ *                             type: string
+ *                             description: The username of the user who sent the message.
+ *                         description: Details of the user who sent the message.
+ *                       content:
  *                         type: string
- *                         description: The username of the user who sent the message.
- *                     description: Details of the user who sent the message.
- *                   content:
- *                     type: string
- *                     description: The content of the message.
- *                   timestamp:
- *                     type: string
- *                     format: date-time
- *                     description: The time when the message was sent.
+ *                         description: The content of the message.
+ *                       timestamp:
+ *                         type: string
+ *                         format: date-time
+ *                         description: The time when the message was sent.
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: The cursor to pass with the same direction to continue paging, or null when there are no more messages.
+ *       400:
+ *         description: Bad Request. The cursor does not belong to this chat.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating the cursor is invalid.
  *       403:
  *         description: Forbidden. The user is not a participant in the chat.
  *         content:
@@ -152,6 +371,9 @@ router.post('/', async (req, res) => {
  *             schema:
  *               type: object
  *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
  *                 message:
  *                   type: string
  *                   description: Error message indicating the user is not authorized.
@@ -162,6 +384,9 @@ router.post('/', async (req, res) => {
  *             schema:
  *               type: object
  *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
  *                 message:
  *                   type: string
  *                   description: Error message indicating the chat was not found.
@@ -172,27 +397,28 @@ router.post('/', async (req, res) => {
  *             schema:
  *               type: object
  *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
  *                 message:
  *                   type: string
  *                   description: Error message describing the issue encountered.
  */
-router.get('/:chatId/messages', async (req, res) => {
+router.get('/:chatId/messages', validate({ params: { chatId: objectId() }, query: pageQuery }), asyncHandler(async (req, res) => {
   const { chatId } = req.params;
 
-  try {
-    const chat = await Chat.findById(chatId).populate({
-      path: 'messages',
-      populate: { path: 'sender' }
-    });
-
-    if (!chat || !chat.participants.includes(req.userId)) {
-      return res.status(403).json({ message: "Not authorized." });
-    }
-    res.json(chat.messages);
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+  const chat = await Chat.findById(chatId, 'participants');
+
+  if (!chat || !chat.participants.includes(req.userId)) {
+    throw new ForbiddenError("Not authorized.");
   }
-});
+
+  const page = await paginateMessages({ chat: chat._id }, req.userId, req.query);
+
+  if (!page) throw new BadRequestError("Invalid cursor.");
+
+  res.json(page);
+}));
 
 
 module.exports = router;
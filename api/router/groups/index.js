@@ -1,8 +1,29 @@
 const { Router } = require('express');
+const crypto = require('crypto');
 const { Group } = require('./../../schema/group');
 const { User } = require("./../../schema/user");
+const { Invite } = require('./../../schema/invite');
+const { paginateMessages } = require('./../../utils/pagination');
+const { roleOf, isAdmin, setRole, broadcastRoles } = require('./../../utils/groupRoles');
+const { removeParticipant, leaveGroup, deleteGroup } = require('./../../utils/groupMembership');
+const { postSystemMessage } = require('./../../utils/systemMessages');
+const { inviteUser, toLinkPayload, usableLinkQuery } = require('./../../utils/invites');
+const { recordEvent } = require('./../../utils/events');
+const { inTransaction } = require('./../../utils/transaction');
+const validate = require('./../../middleware/validate');
+const asyncHandler = require('./../../utils/asyncHandler');
+const { BadRequestError, ForbiddenError, NotFoundError, ValidationError } = require('./../../errors');
+const { optional, nullable, objectId, string, int, url, array, pageQuery } = require('./../../utils/rules');
 const router = Router();
 
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_INVITEES = 100;
+
+const byGroupId = validate({ params: { groupId: objectId() } });
+const byGroupIdAndUserId = validate({ params: { groupId: objectId(), userId: objectId() } });
+const byGroupIdAndUserIdInBody = validate({ params: { groupId: objectId() }, body: { userId: objectId() } });
+
 /**
  * @swagger
  * tags:
@@ -19,7 +40,7 @@ const router = Router();
  * /groups:
  *   post:
  *     summary: Create a new group
- *     description: Creates a new group with the specified name and participants. Updates the participants' records to include the newly created group.
+ *     description: Creates a new group with the specified name. The authenticated user becomes its only participant and owner. Every other listed user receives a pending invitation to the group instead of being added directly; unknown user IDs are ignored.
  *     tags: [Groups]
  *     security:
  *       - BearerAuth: []
@@ -38,13 +59,13 @@ const router = Router();
  *                 type: array
  *                 items:
  *                   type: string
- *                 description: An array of user IDs who will be participants in the group.
+ *                 description: An array of user IDs to invite to the group.
  *             required:
  *               - name
  *               - participants
  *     responses:
  *       201:
- *         description: Successfully created the group and updated participants.
+ *         description: Successfully created the group and sent the invitations.
  *         content:
  *           application/json:
  *             schema:
@@ -61,6 +82,19 @@ const router = Router();
  *                   items:
  *                     type: string
  *                   description: An array of user IDs who are participants in the group.
+ *                 roles:
+ *                   type: array
+ *                   description: The role of each participant in the group.
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       user:
+ *                         type: string
+ *                         description: The ID of the participant.
+ *                       role:
+ *                         type: string
+ *                         enum: [owner, admin, member]
+ *                         description: The participant's role.
  *                 createdAt:
  *                   type: string
  *                   format: date-time
@@ -76,6 +110,9 @@ const router = Router();
  *             schema:
  *               type: object
  *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
  *                 message:
  *                   type: string
  *                   description: Error message indicating what was wrong with the request.
@@ -86,27 +123,44 @@ const router = Router();
  *             schema:
  *               type: object
  *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
  *                 message:
  *                   type: string
  *                   description: Error message describing the issue encountered.
  */
-router.post('/',  async (req, res) => {
-  const { name, participants } = req.body;
+router.post('/', validate({
+  body: {
+    name: string({ max: MAX_NAME_LENGTH }),
+    participants: optional(array(objectId(), { max: MAX_INVITEES }))
+  }
+}), asyncHandler(async (req, res) => {
+  const { name, participants = [] } = req.body;
+
+  const group = new Group({
+    name,
+    participants: [req.userId],
+    roles: [{ user: req.userId, role: "owner" }]
+  });
 
-  try {
-    const group = new Group({ name, participants });
+  await inTransaction(async () => {
     await group.save();
-    
-    await User.updateMany(
-      { _id: { $in: participants } },
-      { $push: { groups: group._id } }
-    );
-    
-    res.status(201).json(group);
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+
+    await User.findByIdAndUpdate(req.userId, { $push: { groups: group._id } });
+
+    await recordEvent("group.created", { groupId: group._id, name: group.name, ownerId: req.userId });
+  });
+
+  const inviteeIds = [...new Set(participants.map(String))].filter(id => id !== String(req.userId));
+  const io = req.app.get("io");
+
+  for (const inviteeId of inviteeIds) {
+    await inviteUser(io, group, inviteeId, req.userId);
   }
-});
+  
+  res.status(201).json(group);
+}));
 
 /**
  * @swagger
@@ -123,8 +177,8 @@ router.post('/',  async (req, res) => {
  * 
  * /groups/{groupId}/users:
  *   post:
- *     summary: Add a user to a group
- *     description: Adds a specified user to a group if the requester is a participant in the group. Updates both the group's and the user's records accordingly.
+ *     summary: Invite a user to a group
+ *     description: Sends a pending invitation to join the group to the specified user, who may accept or decline it. Only the group's owner and admins may invite users. The invitee receives a `groupInvite` socket event.
  *     tags: [Groups]
  *     security:
  *       - BearerAuth: []
@@ -134,9 +188,9 @@ router.post('/',  async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
- *           description: The ID of the group to which the user will be added.
+ *           description: The ID of the group to which the user is invited.
  *     requestBody:
- *       description: The details of the user to be added to the group.
+ *       description: The user to invite to the group.
  *       required: true
  *       content:
  *         application/json:
@@ -145,12 +199,12 @@ router.post('/',  async (req, res) => {
  *             properties:
  *               userId:
  *                 type: string
- *                 description: The ID of the user to be added to the group.
+ *                 description: The ID of the user to invite to the group.
  *             required:
  *               - userId
  *     responses:
- *       200:
- *         description: Successfully added the user to the group.
+ *       201:
+ *         description: Successfully invited the user.
  *         content:
  *           application/json:
  *             schema:
@@ -158,23 +212,30 @@ router.post('/',  async (req, res) => {
  *               properties:
  *                 _id:
  *                   type: string
- *                   description: The ID of the group.
- *                 name:
+ *                   description: The ID of the invite.
+ *                 group:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                 inviter:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                     username:
+ *                       type: string
+ *                 invitee:
  *                   type: string
- *                   description: The name of the group.
- *                 participants:
- *                   type: array
- *                   items:
- *                     type: string
- *                   description: An array of user IDs who are participants in the group.
- *                 createdAt:
+ *                   description: The ID of the invited user.
+ *                 status:
  *                   type: string
- *                   format: date-time
- *                   description: The time when the group was created.
- *                 updatedAt:
+ *                   enum: [pending, accepted, declined, revoked]
+ *                 createdAt:
  *                   type: string
  *                   format: date-time
- *                   description: The time when the group was last updated.
  *       400:
  *         description: Bad Request. The user is already in the group or invalid request data.
  *         content:
@@ -182,19 +243,51 @@ router.post('/',  async (req, res) => {
  *             schema:
  *               type: object
  *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
  *                 message:
  *                   type: string
  *                   description: Error message indicating the issue with the request.
  *       403:
- *         description: Forbidden. The user is not authorized to add users to the group.
+ *         description: Forbidden. The user is not an owner or admin of the group.
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
  *                 message:
  *                   type: string
  *                   description: Error message indicating that the user is not authorized.
+ *       404:
+ *         description: Not Found. The invited user does not exist.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the user was not found.
+ *       409:
+ *         description: Conflict. The user already has a pending invite to the group.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating the duplicate invite.
  *       500:
  *         description: Internal server error. The server encountered an error while processing the request.
  *         content:
@@ -202,38 +295,33 @@ router.post('/',  async (req, res) => {
  *             schema:
  *               type: object
  *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
  *                 message:
  *                   type: string
  *                   description: Error message describing the issue encountered.
  */
-router.post('/:groupId/users', async (req, res) => {
+router.post('/:groupId/users', byGroupIdAndUserIdInBody, asyncHandler(async (req, res) => {
   const { groupId } = req.params;
   const { userId } = req.body;
 
-  try {
-    const group = await Group.findById(groupId);
-    
-    if (!group || !group.participants.includes(req.userId)) {
-      return res.status(403).json({ message: "Not authorized." });
-    }
-
-    if (!group.participants.includes(userId)) {
-      group.participants.push(userId);
-      await group.save();
-      
-      // Add group reference to user
-      await User.findByIdAndUpdate(userId, {
-        $push: { groups: group._id }
-      });
-      
-      res.status(200).json(group);
-    } else {
-      res.status(400).json({ message: "User is already in the group." });
-    }
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+  const group = await Group.findById(groupId);
+  
+  if (!group || !isAdmin(group, req.userId)) {
+    throw new ForbiddenError("Not authorized.");
+  }
+
+  if (group.participants.includes(userId)) {
+    throw new BadRequestError("User is already in the group.");
   }
-});
+
+  const invite = await inviteUser(req.app.get("io"), group, userId, req.userId);
+
+  if (!invite) throw new NotFoundError("User not found.");
+
+  res.status(201).json(invite);
+}));
 
 /**
  * @swagger
@@ -251,7 +339,7 @@ router.post('/:groupId/users', async (req, res) => {
  * /groups/{groupId}/users/{userId}:
  *   delete:
  *     summary: Remove a user from a group
- *     description: Removes a specified user from a group if the requester is a participant in the group. Updates both the group's and the user's records accordingly.
+ *     description: Removes a specified user from a group. Owners and admins may remove members, only the owner may remove admins, and the owner cannot be removed. Updates both the group's and the user's records accordingly.
  *     tags: [Groups]
  *     security:
  *       - BearerAuth: []
@@ -287,6 +375,19 @@ router.post('/:groupId/users', async (req, res) => {
  *                   items:
  *                     type: string
  *                   description: An array of user IDs who are participants in the group.
+ *                 roles:
+ *                   type: array
+ *                   description: The role of each participant in the group.
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       user:
+ *                         type: string
+ *                         description: The ID of the participant.
+ *                       role:
+ *                         type: string
+ *                         enum: [owner, admin, member]
+ *                         description: The participant's role.
  *                 createdAt:
  *                   type: string
  *                   format: date-time
@@ -302,16 +403,22 @@ router.post('/:groupId/users', async (req, res) => {
  *             schema:
  *               type: object
  *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
  *                 message:
  *                   type: string
  *                   description: Error message indicating the issue with the request.
  *       403:
- *         description: Forbidden. The user is not authorized to remove users from the group.
+ *         description: Forbidden. The user lacks the role needed to remove this participant.
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
  *                 message:
  *                   type: string
  *                   description: Error message indicating that the user is not authorized.
@@ -322,55 +429,1183 @@ router.post('/:groupId/users', async (req, res) => {
  *             schema:
  *               type: object
  *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
  *                 message:
  *                   type: string
  *                   description: Error message describing the issue encountered.
  */
-router.delete('/:groupId/users/:userId', async (req, res) => {
+router.delete('/:groupId/users/:userId', byGroupIdAndUserId, asyncHandler(async (req, res) => {
   const { groupId, userId } = req.params;
 
-  try {
-    const group = await Group.findById(groupId);
+  const group = await Group.findById(groupId);
+  
+  if (!group || !isAdmin(group, req.userId)) {
+    throw new ForbiddenError("Not authorized.");
+  }
+
+  const targetRole = roleOf(group, userId);
+
+  // Nobody can remove the owner, and only the owner can remove admins.
+  if (targetRole === "owner" || (targetRole === "admin" && roleOf(group, req.userId) !== "owner")) {
+    throw new ForbiddenError("Not authorized.");
+  }
+
+  if (group.participants.includes(userId)) {
+    await removeParticipant(req.app.get("io"), group, userId, req.userId);
     
-    if (!group || !group.participants.includes(req.userId)) {
-      return res.status(403).json({ message: "Not authorized." });
-    }
-
-    if (group.participants.includes(userId)) {
-      group.participants.pull(userId);
-      await group.save();
-      
-      // Remove group reference from user
-      await User.findByIdAndUpdate(userId, {
-        $pull: { groups: group._id }
-      });
-      
-      res.status(200).json(group);
-    } else {
-      res.status(400).json({ message: "User is not in the group." });
-    }
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+    res.status(200).json(group);
+  } else {
+    throw new BadRequestError("User is not in the group.");
   }
-});
+}));
 
 
-router.get('/:groupId/messages', async (req, res) => {
+/**
+ * @swagger
+ * tags:
+ *   name: Groups
+ *   description: API endpoints for managing groups
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ * 
+ * /groups/{groupId}/admins:
+ *   post:
+ *     summary: Promote a member to admin
+ *     description: Gives a member of the group the admin role. Only the group's owner and admins may promote members. The change is broadcast to the group room as a `groupRolesUpdated` socket event.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           description: The ID of the group.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: The ID of the member to promote.
+ *             required:
+ *               - userId
+ *     responses:
+ *       200:
+ *         description: Successfully promoted the member. Returns the updated group.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 _id:
+ *                   type: string
+ *                   description: The ID of the group.
+ *                 name:
+ *                   type: string
+ *                   description: The name of the group.
+ *                 participants:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: An array of user IDs who are participants in the group.
+ *                 roles:
+ *                   type: array
+ *                   description: The role of each participant in the group.
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       user:
+ *                         type: string
+ *                         description: The ID of the participant.
+ *                       role:
+ *                         type: string
+ *                         enum: [owner, admin, member]
+ *                         description: The participant's role.
+ *       400:
+ *         description: Bad Request. The user is not a member of the group.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating the issue with the request.
+ *       403:
+ *         description: Forbidden. The user is not an owner or admin of the group.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the user is not authorized.
+ *       500:
+ *         description: Internal server error. The server encountered an error while processing the request.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message describing the issue encountered.
+ */
+router.post('/:groupId/admins', byGroupIdAndUserIdInBody, asyncHandler(async (req, res) => {
   const { groupId } = req.params;
+  const { userId } = req.body;
+
+  const group = await Group.findById(groupId);
+
+  if (!group || !isAdmin(group, req.userId)) {
+    throw new ForbiddenError("Not authorized.");
+  }
+
+  if (roleOf(group, userId) !== "member") {
+    throw new BadRequestError("User is not a member of the group.");
+  }
+
+  setRole(group, userId, "admin");
+  await group.save();
+
+  broadcastRoles(req.app.get("io"), group, [{ userId, role: "admin" }], req.userId);
+
+  res.status(200).json(group);
+}));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Groups
+ *   description: API endpoints for managing groups
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ * 
+ * /groups/{groupId}/admins/{userId}:
+ *   delete:
+ *     summary: Demote an admin to member
+ *     description: Takes the admin role away from a participant. Only the group's owner may demote admins, while admins may step down themselves. The change is broadcast to the group room as a `groupRolesUpdated` socket event.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           description: The ID of the group.
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           description: The ID of the admin to demote.
+ *     responses:
+ *       200:
+ *         description: Successfully demoted the admin. Returns the updated group.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 _id:
+ *                   type: string
+ *                   description: The ID of the group.
+ *                 name:
+ *                   type: string
+ *                   description: The name of the group.
+ *                 participants:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: An array of user IDs who are participants in the group.
+ *                 roles:
+ *                   type: array
+ *                   description: The role of each participant in the group.
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       user:
+ *                         type: string
+ *                         description: The ID of the participant.
+ *                       role:
+ *                         type: string
+ *                         enum: [owner, admin, member]
+ *                         description: The participant's role.
+ *       400:
+ *         description: Bad Request. The user is not an admin of the group.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating the issue with the request.
+ *       403:
+ *         description: Forbidden. Only the owner may demote other admins.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the user is not authorized.
+ *       500:
+ *         description: Internal server error. The server encountered an error while processing the request.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message describing the issue encountered.
+ */
+router.delete('/:groupId/admins/:userId', byGroupIdAndUserId, asyncHandler(async (req, res) => {
+  const { groupId, userId } = req.params;
+
+  const group = await Group.findById(groupId);
 
-  try {
-    const group = await Group.findById(groupId).populate({
-      path: 'messages',
-      populate: { path: 'sender', select: '_id username' }
-    });
+  const isSelf = String(userId) === String(req.userId);
 
-    if (!group || !group.participants.includes(req.userId)) {
-      return res.status(403).json({ message: "Not authorized." });
-    }
+  if (!group || !(roleOf(group, req.userId) === "owner" || (isSelf && isAdmin(group, req.userId)))) {
+    throw new ForbiddenError("Not authorized.");
+  }
 
-    res.json(group.messages);
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+  if (roleOf(group, userId) !== "admin") {
+    throw new BadRequestError("User is not an admin of the group.");
   }
-});
+
+  setRole(group, userId, "member");
+  await group.save();
+
+  broadcastRoles(req.app.get("io"), group, [{ userId, role: "member" }], req.userId);
+
+  res.status(200).json(group);
+}));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Groups
+ *   description: API endpoints for managing groups
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ * 
+ * /groups/{groupId}/owner:
+ *   put:
+ *     summary: Transfer ownership of a group
+ *     description: Makes another participant the owner of the group. Only the current owner may transfer ownership, and becomes an admin afterwards. The change is broadcast to the group room as a `groupRolesUpdated` socket event.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           description: The ID of the group.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: The ID of the participant who becomes the owner.
+ *             required:
+ *               - userId
+ *     responses:
+ *       200:
+ *         description: Successfully transferred ownership. Returns the updated group.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 _id:
+ *                   type: string
+ *                   description: The ID of the group.
+ *                 name:
+ *                   type: string
+ *                   description: The name of the group.
+ *                 participants:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: An array of user IDs who are participants in the group.
+ *                 roles:
+ *                   type: array
+ *                   description: The role of each participant in the group.
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       user:
+ *                         type: string
+ *                         description: The ID of the participant.
+ *                       role:
+ *                         type: string
+ *                         enum: [owner, admin, member]
+ *                         description: The participant's role.
+ *       400:
+ *         description: Bad Request. The user is not another participant of the group.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating the issue with the request.
+ *       403:
+ *         description: Forbidden. The user is not the owner of the group.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the user is not authorized.
+ *       500:
+ *         description: Internal server error. The server encountered an error while processing the request.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message describing the issue encountered.
+ */
+router.put('/:groupId/owner', byGroupIdAndUserIdInBody, asyncHandler(async (req, res) => {
+  const { groupId } = req.params;
+  const { userId } = req.body;
+
+  const group = await Group.findById(groupId);
+
+  if (!group || roleOf(group, req.userId) !== "owner") {
+    throw new ForbiddenError("Not authorized.");
+  }
+
+  const targetRole = roleOf(group, userId);
+
+  if (!targetRole || targetRole === "owner") {
+    throw new BadRequestError("User is not another participant of the group.");
+  }
+
+  setRole(group, req.userId, "admin");
+  setRole(group, userId, "owner");
+  await group.save();
+
+  broadcastRoles(req.app.get("io"), group, [
+    { userId, role: "owner" },
+    { userId: req.userId, role: "admin" }
+  ], req.userId);
+
+  res.status(200).json(group);
+}));
+
+
+/**
+ * @swagger
+ * tags:
+ *   name: Groups
+ *   description: API endpoints for managing groups
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ * 
+ * /groups/{groupId}/invite-links:
+ *   post:
+ *     summary: Create a shareable invite link
+ *     description: Creates an invite link that lets anyone holding its token join the group, until it expires, runs out of uses or is revoked. Only the group's owner and admins may create links.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           description: The ID of the group.
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiresIn:
+ *                 type: integer
+ *                 description: Number of seconds the link stays valid. Omit for a link that does not expire.
+ *               maxUses:
+ *                 type: integer
+ *                 description: Number of users who may join through the link. Omit for unlimited uses.
+ *             example:
+ *               expiresIn: 86400
+ *               maxUses: 10
+ *     responses:
+ *       201:
+ *         description: Successfully created the invite link.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 _id:
+ *                   type: string
+ *                   description: The ID of the link, used to revoke it.
+ *                 token:
+ *                   type: string
+ *                   description: The secret to pass to `POST /groups/invites/links/{token}/join`.
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                   description: When the link stops working, if it expires.
+ *                 maxUses:
+ *                   type: integer
+ *                   description: How many users may join through the link, if limited.
+ *                 uses:
+ *                   type: integer
+ *                   description: How many users joined through the link so far.
+ *       400:
+ *         description: Bad Request. `expiresIn` or `maxUses` is not a positive integer.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating the issue with the request.
+ *       403:
+ *         description: Forbidden. The user is not an owner or admin of the group.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the user is not authorized.
+ *       500:
+ *         description: Internal server error. The server encountered an error while processing the request.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message describing the issue encountered.
+ */
+router.post('/:groupId/invite-links', validate({
+  params: { groupId: objectId() },
+  body: { expiresIn: optional(int({ min: 1 })), maxUses: optional(int({ min: 1 })) }
+}), asyncHandler(async (req, res) => {
+  const { groupId } = req.params;
+  const { expiresIn, maxUses } = req.body;
+
+  const group = await Group.findById(groupId);
+
+  if (!group || !isAdmin(group, req.userId)) {
+    throw new ForbiddenError("Not authorized.");
+  }
+
+  const invite = new Invite({
+    group: group._id,
+    inviter: req.userId,
+    token: crypto.randomBytes(16).toString("base64url"),
+    expiresAt: expiresIn ? new Date(Date.now() + expiresIn * 1000) : undefined,
+    maxUses
+  });
+  await invite.save();
+
+  res.status(201).json(toLinkPayload(invite));
+}));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Groups
+ *   description: API endpoints for managing groups
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ * 
+ * /groups/{groupId}/invite-links:
+ *   get:
+ *     summary: List the active invite links of a group
+ *     description: Returns the group's invite links that were not revoked and have neither expired nor run out of uses. Only the group's owner and admins may list links.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           description: The ID of the group.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the invite links.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                     description: The ID of the link, used to revoke it.
+ *                   token:
+ *                     type: string
+ *                     description: The secret to pass to `POST /groups/invites/links/{token}/join`.
+ *                   expiresAt:
+ *                     type: string
+ *                     format: date-time
+ *                     description: When the link stops working, if it expires.
+ *                   maxUses:
+ *                     type: integer
+ *                     description: How many users may join through the link, if limited.
+ *                   uses:
+ *                     type: integer
+ *                     description: How many users joined through the link so far.
+ *       400:
+ *         description: Bad Request. Invalid group ID.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 errors:
+ *                   type: array
+ *                   description: The failing fields.
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       location:
+ *                         type: string
+ *                         description: Where the field is, `params`, `query` or `body`.
+ *                       field:
+ *                         type: string
+ *                       message:
+ *                         type: string
+ *       403:
+ *         description: Forbidden. The user is not an owner or admin of the group.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the user is not authorized.
+ *       500:
+ *         description: Internal server error. The server encountered an error while processing the request.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message describing the issue encountered.
+ */
+router.get('/:groupId/invite-links', byGroupId, asyncHandler(async (req, res) => {
+  const { groupId } = req.params;
+
+  const group = await Group.findById(groupId);
+
+  if (!group || !isAdmin(group, req.userId)) {
+    throw new ForbiddenError("Not authorized.");
+  }
+
+  const links = await Invite.find({
+    group: group._id,
+    token: { $exists: true },
+    ...usableLinkQuery()
+  }).sort({ createdAt: -1 });
+
+  res.json(links.map(toLinkPayload));
+}));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Groups
+ *   description: API endpoints for managing groups
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ * 
+ * /groups/{groupId}:
+ *   patch:
+ *     summary: Update a group's settings
+ *     description: Changes the name, description or avatar of a group. Only the group's owner and admins may change settings. A system message describing the change is added to the group history, and the group room receives a `groupUpdated` socket event.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           description: The ID of the group.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: The new name of the group.
+ *               description:
+ *                 type: string
+ *                 description: The new description of the group.
+ *               avatar:
+ *                 type: string
+ *                 nullable: true
+ *                 description: The URL of the new group picture, or null to remove it.
+ *     responses:
+ *       200:
+ *         description: Successfully updated the group. Returns the updated group.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 _id:
+ *                   type: string
+ *                   description: The ID of the group.
+ *                 name:
+ *                   type: string
+ *                   description: The name of the group.
+ *                 description:
+ *                   type: string
+ *                   description: The description of the group.
+ *                 avatar:
+ *                   type: string
+ *                   description: The URL of the group picture.
+ *       400:
+ *         description: Bad Request. No setting was given or a value is invalid.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating the issue with the request.
+ *       403:
+ *         description: Forbidden. The user is not an owner or admin of the group.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the user is not authorized.
+ *       500:
+ *         description: Internal server error. The server encountered an error while processing the request.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message describing the issue encountered.
+ */
+router.patch('/:groupId', validate({
+  params: { groupId: objectId() },
+  body: {
+    name: optional(string({ max: MAX_NAME_LENGTH })),
+    description: optional(string({ min: 0, max: MAX_DESCRIPTION_LENGTH })),
+    avatar: nullable(url())
+  }
+}), asyncHandler(async (req, res) => {
+  const { groupId } = req.params;
+  const { name, description, avatar } = req.body;
+
+  if (name === undefined && description === undefined && avatar === undefined) {
+    throw new ValidationError([{ location: "body", field: null, message: "must contain name, description or avatar" }]);
+  }
+
+  const group = await Group.findById(groupId);
+
+  if (!group || !isAdmin(group, req.userId)) {
+    throw new ForbiddenError("Not authorized.");
+  }
+
+  const changes = {};
+  if (name !== undefined) changes.name = name.trim();
+  if (description !== undefined) changes.description = description;
+  if (avatar !== undefined) changes.avatar = avatar || undefined;
+
+  group.set(changes);
+
+  const io = req.app.get("io");
+  const actor = await User.findById(req.userId, "username");
+  const changed = Object.keys(changes);
+
+  await inTransaction(async () => {
+    await group.save();
+
+    await postSystemMessage(
+      io,
+      group,
+      req.userId,
+      "group.updated",
+      changed.length === 1 && changes.name
+        ? `${actor.username} renamed the group to "${changes.name}"`
+        : `${actor.username} changed the group ${[changed.slice(0, -1).join(", "), changed.at(-1)].filter(Boolean).join(" and ")}`,
+      changes
+    );
+  });
+
+  io.to(String(group._id)).emit("groupUpdated", {
+    groupId: group._id,
+    name: group.name,
+    description: group.description,
+    avatar: group.avatar
+  });
+
+  res.status(200).json(group);
+}));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Groups
+ *   description: API endpoints for managing groups
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ * 
+ * /groups/{groupId}/leave:
+ *   post:
+ *     summary: Leave a group
+ *     description: Removes the authenticated user from a group. When the owner leaves, ownership passes to the longest-standing admin, or to the longest-standing member if there are no admins. The last participant leaving deletes the group. A system message is added to the group history.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           description: The ID of the group.
+ *     responses:
+ *       204:
+ *         description: Successfully left the group.
+ *       400:
+ *         description: Bad Request. Invalid group ID.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 errors:
+ *                   type: array
+ *                   description: The failing fields.
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       location:
+ *                         type: string
+ *                         description: Where the field is, `params`, `query` or `body`.
+ *                       field:
+ *                         type: string
+ *                       message:
+ *                         type: string
+ *       404:
+ *         description: Not Found. The group does not exist or the user is not a participant.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the group was not found.
+ *       500:
+ *         description: Internal server error. The server encountered an error while processing the request.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message describing the issue encountered.
+ */
+router.post('/:groupId/leave', byGroupId, asyncHandler(async (req, res) => {
+  const { groupId } = req.params;
+
+  const group = await Group.findById(groupId);
+
+  if (!group || !roleOf(group, req.userId)) {
+    throw new NotFoundError("Group not found.");
+  }
+
+  await leaveGroup(req.app.get("io"), group, req.userId);
+
+  res.sendStatus(204);
+}));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Groups
+ *   description: API endpoints for managing groups
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ * 
+ * /groups/{groupId}:
+ *   delete:
+ *     summary: Delete a group
+ *     description: Deletes a group together with its messages, attachments and invites, and removes it from every participant's groups. Only the owner may delete a group. Participants receive a `groupDeleted` socket event naming who deleted the group; no system message is posted, since the history goes with the group.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           description: The ID of the group.
+ *     responses:
+ *       204:
+ *         description: Successfully deleted the group.
+ *       400:
+ *         description: Bad Request. Invalid group ID.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 errors:
+ *                   type: array
+ *                   description: The failing fields.
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       location:
+ *                         type: string
+ *                         description: Where the field is, `params`, `query` or `body`.
+ *                       field:
+ *                         type: string
+ *                       message:
+ *                         type: string
+ *       403:
+ *         description: Forbidden. The user is not the owner of the group.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the user is not authorized.
+ *       500:
+ *         description: Internal server error. The server encountered an error while processing the request.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message describing the issue encountered.
+ */
+router.delete('/:groupId', byGroupId, asyncHandler(async (req, res) => {
+  const { groupId } = req.params;
+
+  const group = await Group.findById(groupId);
+
+  if (!group || roleOf(group, req.userId) !== "owner") {
+    throw new ForbiddenError("Not authorized.");
+  }
+
+  const io = req.app.get("io");
+
+  // No system message: it would be deleted along with the history it joins.
+  // The room hears of the deletion on commit, before it is emptied.
+  await inTransaction(async () => {
+    io.to(String(group._id)).emit("groupDeleted", { groupId: group._id, by: req.userId });
+
+    await deleteGroup(io, group);
+  });
+
+  res.sendStatus(204);
+}));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Groups
+ *   description: API endpoints for managing groups
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ * 
+ * /groups/{groupId}/messages:
+ *   get:
+ *     summary: Retrieve messages for a group
+ *     description: Retrieves a page of messages for the specified group, newest first. The user must be a participant in the group to view messages. Pass the returned `nextCursor` as `before` to load older messages, or a message ID as `after` to load messages newer than it.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         description: The ID of the group to retrieve messages from.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: before
+ *         required: false
+ *         description: Only return messages older than the message with this ID.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: after
+ *         required: false
+ *         description: Only return messages newer than the message with this ID.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         description: Maximum number of messages to return (default 50, at most 100).
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved group messages.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 messages:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                         description: The ID of the message.
+ *                       sender:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                             description: The ID of the user who sent the message.
+ *                           username:
+ *                             type: string
+ *                             description: The username of the user who sent the message.
+ *                         description: Details of the user who sent the message.
+ *                       content:
+ *                         type: string
+ *                         description: The content of the message.
+ *                       timestamp:
+ *                         type: string
+ *                         format: date-time
+ *                         description: The time when the message was sent.
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: The cursor to pass with the same direction to continue paging, or null when there are no more messages.
+ *       400:
+ *         description: Bad Request. The cursor does not belong to this group.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating the cursor is invalid.
+ *       403:
+ *         description: Forbidden. The user is not a participant in the group.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating the user is not authorized.
+ *       500:
+ *         description: Internal server error. The server encountered an error while processing the request.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message describing the issue encountered.
+ */
+router.get('/:groupId/messages', validate({ params: { groupId: objectId() }, query: pageQuery }), asyncHandler(async (req, res) => {
+  const { groupId } = req.params;
+
+  const group = await Group.findById(groupId, 'participants');
+
+  if (!group || !group.participants.includes(req.userId)) {
+    throw new ForbiddenError("Not authorized.");
+  }
+
+  const page = await paginateMessages({ group: group._id }, req.userId, req.query);
+
+  if (!page) throw new BadRequestError("Invalid cursor.");
+
+  res.json(page);
+}));
+
 module.exports = router;
@@ -0,0 +1,559 @@
+const { Router } = require('express');
+const { Group } = require('./../../schema/group');
+const { Invite } = require('./../../schema/invite');
+const { isAdmin } = require('./../../utils/groupRoles');
+const { addParticipant } = require('./../../utils/groupMembership');
+const { inTransaction } = require('./../../utils/transaction');
+const { toInvitePayload, usableLinkQuery } = require('./../../utils/invites');
+const validate = require('./../../middleware/validate');
+const asyncHandler = require('./../../utils/asyncHandler');
+const { ConflictError, ForbiddenError, GoneError, NotFoundError } = require('./../../errors');
+const { objectId, string } = require('./../../utils/rules');
+const router = Router();
+
+const byInviteId = validate({ params: { inviteId: objectId() } });
+
+/**
+ * @swagger
+ * tags:
+ *   name: Groups
+ *   description: API endpoints for managing groups
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ * 
+ * /groups/invites:
+ *   get:
+ *     summary: List the user's pending group invites
+ *     description: Returns the invitations to join groups that the authenticated user has not accepted or declined yet, newest first.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the pending invites.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                     description: The ID of the invite.
+ *                   group:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                   inviter:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       username:
+ *                         type: string
+ *                   createdAt:
+ *                     type: string
+ *                     format: date-time
+ *       500:
+ *         description: Internal server error. The server encountered an error while processing the request.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message describing the issue encountered.
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const invites = await Invite.find({ invitee: req.userId, status: "pending" })
+    .sort({ createdAt: -1 })
+    .populate("group", "_id name")
+    .populate("inviter", "_id username");
+
+  res.json(invites.map(toInvitePayload));
+}));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Groups
+ *   description: API endpoints for managing groups
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ * 
+ * /groups/invites/{inviteId}/accept:
+ *   post:
+ *     summary: Accept a group invite
+ *     description: Accepts a pending invitation addressed to the authenticated user and adds the user to the group as a member.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: inviteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           description: The ID of the invite.
+ *     responses:
+ *       200:
+ *         description: Successfully joined the group. Returns the group.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 _id:
+ *                   type: string
+ *                   description: The ID of the group.
+ *                 name:
+ *                   type: string
+ *                   description: The name of the group.
+ *                 participants:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: An array of user IDs who are participants in the group.
+ *       400:
+ *         description: Bad Request. Invalid invite ID.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 errors:
+ *                   type: array
+ *                   description: The failing fields.
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       location:
+ *                         type: string
+ *                         description: Where the field is, `params`, `query` or `body`.
+ *                       field:
+ *                         type: string
+ *                       message:
+ *                         type: string
+ *       404:
+ *         description: Not Found. There is no pending invite with this ID for the user.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the invite was not found.
+ *       410:
+ *         description: Gone. The group no longer exists.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the group was deleted.
+ *       500:
+ *         description: Internal server error. The server encountered an error while processing the request.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message describing the issue encountered.
+ */
+router.post('/:inviteId/accept', byInviteId, asyncHandler(async (req, res) => {
+  const { inviteId } = req.params;
+
+  // The invite is only used up if the user does join.
+  const group = await inTransaction(async () => {
+    const invite = await Invite.findOneAndUpdate(
+      { _id: inviteId, invitee: req.userId, status: "pending" },
+      { status: "accepted" },
+      { new: true }
+    );
+
+    if (!invite) throw new NotFoundError("Invite not found.");
+
+    const group = await Group.findById(invite.group);
+
+    if (!group) throw new GoneError("Group no longer exists.");
+
+    if (!group.participants.includes(req.userId)) {
+      await addParticipant(req.app.get("io"), group, req.userId, invite.inviter);
+    }
+
+    return group;
+  });
+
+  res.status(200).json(group);
+}));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Groups
+ *   description: API endpoints for managing groups
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ * 
+ * /groups/invites/{inviteId}/decline:
+ *   post:
+ *     summary: Decline a group invite
+ *     description: Declines a pending invitation addressed to the authenticated user.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: inviteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           description: The ID of the invite.
+ *     responses:
+ *       204:
+ *         description: Successfully declined the invite.
+ *       400:
+ *         description: Bad Request. Invalid invite ID.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 errors:
+ *                   type: array
+ *                   description: The failing fields.
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       location:
+ *                         type: string
+ *                         description: Where the field is, `params`, `query` or `body`.
+ *                       field:
+ *                         type: string
+ *                       message:
+ *                         type: string
+ *       404:
+ *         description: Not Found. There is no pending invite with this ID for the user.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the invite was not found.
+ *       500:
+ *         description: Internal server error. The server encountered an error while processing the request.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message describing the issue encountered.
+ */
+router.post('/:inviteId/decline', byInviteId, asyncHandler(async (req, res) => {
+  const { inviteId } = req.params;
+
+  const invite = await Invite.findOneAndUpdate(
+    { _id: inviteId, invitee: req.userId, status: "pending" },
+    { status: "declined" }
+  );
+
+  if (!invite) throw new NotFoundError("Invite not found.");
+
+  res.sendStatus(204);
+}));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Groups
+ *   description: API endpoints for managing groups
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ * 
+ * /groups/invites/{inviteId}:
+ *   delete:
+ *     summary: Revoke a group invite or invite link
+ *     description: Revokes a pending invitation or an invite link so it can no longer be used. The inviter and the group's owner and admins may revoke invites.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: inviteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           description: The ID of the invite.
+ *     responses:
+ *       204:
+ *         description: Successfully revoked the invite.
+ *       400:
+ *         description: Bad Request. Invalid invite ID.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 errors:
+ *                   type: array
+ *                   description: The failing fields.
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       location:
+ *                         type: string
+ *                         description: Where the field is, `params`, `query` or `body`.
+ *                       field:
+ *                         type: string
+ *                       message:
+ *                         type: string
+ *       403:
+ *         description: Forbidden. The user may not revoke this invite.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the user is not authorized.
+ *       404:
+ *         description: Not Found. There is no pending invite with this ID.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the invite was not found.
+ *       500:
+ *         description: Internal server error. The server encountered an error while processing the request.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message describing the issue encountered.
+ */
+router.delete('/:inviteId', byInviteId, asyncHandler(async (req, res) => {
+  const { inviteId } = req.params;
+
+  const invite = await Invite.findOne({ _id: inviteId, status: "pending" });
+
+  if (!invite) throw new NotFoundError("Invite not found.");
+
+  if (!invite.inviter.equals(req.userId)) {
+    const group = await Group.findById(invite.group);
+
+    if (!group || !isAdmin(group, req.userId)) {
+      throw new ForbiddenError("Not authorized.");
+    }
+  }
+
+  invite.status = "revoked";
+  await invite.save();
+
+  res.sendStatus(204);
+}));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Groups
+ *   description: API endpoints for managing groups
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ * 
+ * /groups/invites/links/{token}/join:
+ *   post:
+ *     summary: Join a group through an invite link
+ *     description: Adds the authenticated user to the group of an invite link as a member, as long as the link was not revoked and has neither expired nor run out of uses.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *           description: The token of the invite link.
+ *     responses:
+ *       200:
+ *         description: Successfully joined the group. Returns the group.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 _id:
+ *                   type: string
+ *                   description: The ID of the group.
+ *                 name:
+ *                   type: string
+ *                   description: The name of the group.
+ *                 participants:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: An array of user IDs who are participants in the group.
+ *       404:
+ *         description: Not Found. The link does not exist or was revoked.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the link was not found.
+ *       409:
+ *         description: Conflict. The user is already in the group.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the user is already a participant.
+ *       410:
+ *         description: Gone. The link expired or ran out of uses, or the group no longer exists.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the link can no longer be used.
+ *       500:
+ *         description: Internal server error. The server encountered an error while processing the request.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message describing the issue encountered.
+ */
+router.post('/links/:token/join', validate({ params: { token: string({ max: 64 }) } }), asyncHandler(async (req, res) => {
+  const { token } = req.params;
+
+  const link = await Invite.findOne({ token, status: "pending" });
+
+  if (!link) throw new NotFoundError("Invite link not found.");
+
+  const group = await Group.findById(link.group);
+
+  if (!group) throw new GoneError("Group no longer exists.");
+
+  if (group.participants.includes(req.userId)) {
+    throw new ConflictError("User is already in the group.");
+  }
+
+  // Claim one use atomically so concurrent joins cannot exceed maxUses, in
+  // the transaction of the join so that a failed join does not spend it.
+  await inTransaction(async () => {
+    const claimed = await Invite.findOneAndUpdate(
+      { _id: link._id, ...usableLinkQuery() },
+      { $inc: { uses: 1 } }
+    );
+
+    if (!claimed) throw new GoneError("Invite link expired.");
+
+    await addParticipant(req.app.get("io"), group, req.userId, link.inviter);
+  });
+
+  res.status(200).json(group);
+}));
+
+module.exports = router;
@@ -1,11 +1,63 @@
 const { Router } = require("express");
 
-const { Message } = require("./../../schema/message");
+const { Message, DELETED_MESSAGE_CONTENT } = require("./../../schema/message");
 const { Chat } = require("./../../schema/chat");
 const { Group } = require("./../../schema/group");
+const { Attachment } = require("./../../schema/attachment");
+const { findConversationFor, findMessageFor } = require("./../../utils/conversation");
+const { recordReads, markReadUpTo } = require("./../../utils/receipts");
+const { userRoom } = require("./../../socket/rooms");
+const { MESSAGE_POPULATE, toMessagePayload, toMessageEventData } = require("./../../utils/messages");
+const { recordEvent } = require("./../../utils/events");
+const { inTransaction } = require("./../../utils/transaction");
+const { paginateMessages, parseLimit } = require("./../../utils/pagination");
+const { searchTerms, buildSnippet } = require("./../../utils/search");
+const { removeAttachments } = require("./../../utils/attachments");
+const { isBlockedWithAny } = require("./../../utils/blocks");
+const rateLimit = require("./../../middleware/rateLimit");
+const validate = require("./../../middleware/validate");
+const asyncHandler = require("./../../utils/asyncHandler");
+const { BadRequestError, ForbiddenError, NotFoundError, ValidationError } = require("./../../errors");
+const { optional, check, objectId, string, int, boolean, date, array, pageQuery } = require("./../../utils/rules");
 
 const router = Router();
 
+const MAX_EMOJI_LENGTH = 32;
+const MAX_CONTENT_LENGTH = 4000;
+const MAX_ATTACHMENTS = 10;
+
+const messageThrottle = rateLimit({
+  name: "messages",
+  windowMs: parseInt(process.env.MESSAGE_RATE_LIMIT_WINDOW_MS, 10) || 10 * 1000,
+  max: parseInt(process.env.MESSAGE_RATE_LIMIT_MAX, 10) || 20,
+  keyOf: (req) => req.userId
+});
+
+const graphemes = new Intl.Segmenter(undefined, { granularity: "grapheme" });
+
+// A single emoji is one grapheme, with joiners, variation selectors and skin
+// tones folded into it: a pictograph, a flag made of two regional letters,
+// or a keycap.
+const EMOJI_GRAPHEME = /\p{Extended_Pictographic}|^\p{Regional_Indicator}{2}$|^[0-9#*]\ufe0f?\u20e3$/u;
+
+const isEmoji = (value) => {
+  if (typeof value !== "string" || value.length > MAX_EMOJI_LENGTH) return false;
+
+  const [first, second] = graphemes.segment(value);
+
+  return first !== undefined
+    && second === undefined
+    && EMOJI_GRAPHEME.test(first.segment);
+}
+
+const byMessageId = validate({ params: { messageId: objectId() } });
+
+const broadcastReactions = (req, message) => {
+  const { _id, chat, group, reactions } = toMessagePayload(message);
+  req.app.get("io").to(String(chat || group)).emit("reactionUpdated", { messageId: _id, chat, group, reactions });
+  return reactions;
+}
+
 /**
  * @swagger
  * tags:
@@ -43,8 +95,14 @@ const router = Router();
  *               group:
  *                 type: string
  *                 description: The ID of the group to which the message belongs. If not provided, the message will be associated with a chat if the `chat` field is provided.
- *             required:
- *               - content
+ *               replyTo:
+ *                 type: string
+ *                 description: The ID of a message from the same chat or group that this message replies to.
+ *               attachments:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: IDs of files uploaded through `POST /attachments` by the same user and not sent yet. When attachments are given, `content` may be omitted.
  *     responses:
  *       201:
  *         description: Successfully created the message.
@@ -72,16 +130,79 @@ const router = Router();
  *                   type: string
  *                   format: date-time
  *                   description: The time when the message was sent.
+ *                 replyTo:
+ *                   type: object
+ *                   description: A compact preview of the quoted message, if this is a reply.
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                     sender:
+ *                       type: object
+ *                       properties:
+ *                         _id:
+ *                           type: string
+ *                         username:
+ *                           type: string
+ *                     preview:
+ *                       type: string
+ *                       description: The first characters of the quoted message.
  *       400:
- *         description: Bad Request. Either `chat` or `group` must be provided, but not both.
+ *         description: Bad Request. Either `chat` or `group` must be provided, but not both, `content` is required unless there are attachments and is limited to 4000 characters, `replyTo` must be a message of the same conversation that is not a system message, and `attachments` must be at most 10 unsent uploads of the user. Malformed fields are listed in `errors`.
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
  *                 message:
  *                   type: string
  *                   description: Error message indicating a bad request.
+ *                 errors:
+ *                   type: array
+ *                   description: The failing fields.
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       location:
+ *                         type: string
+ *                         description: Where the field is, `params`, `query` or `body`.
+ *                       field:
+ *                         type: string
+ *                       message:
+ *                         type: string
+ *       403:
+ *         description: Forbidden. The user is not a participant of the chat or group, or the other participant of the 1:1 chat blocked the user, or was blocked by them.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating the chat is blocked.
+ *       429:
+ *         description: Too many requests. The user sent more messages than `MESSAGE_RATE_LIMIT_MAX` within `MESSAGE_RATE_LIMIT_WINDOW_MS`. The `Retry-After` header tells how many seconds to wait.
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds to wait before trying again.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message asking to slow down.
  *       500:
  *         description: Internal server error. The server encountered an error while processing the request.
  *         content:
@@ -89,41 +210,345 @@ const router = Router();
  *             schema:
  *               type: object
  *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
  *                 message:
  *                   type: string
  *                   description: Error message describing the issue encountered.
  */
-router.post('/', async (req, res) => {
-  const { content, chat, group } = req.body;
-
-  try {
-    const message = new Message({
-      sender: req.userId,
-      content,
-      chat,
-      group
-    });
+router.post('/', messageThrottle, validate({
+  body: {
+    content: optional(string({ max: MAX_CONTENT_LENGTH })),
+    chat: optional(objectId()),
+    group: optional(objectId()),
+    replyTo: optional(objectId()),
+    attachments: optional(array(objectId(), { max: MAX_ATTACHMENTS }))
+  }
+}), asyncHandler(async (req, res) => {
+  const { content, chat, group, replyTo, attachments = [] } = req.body;
+
+  if (!chat === !group) {
+    throw new ValidationError([{ location: "body", field: "chat", message: "exactly one of chat and group is required" }]);
+  }
+  if (content === undefined && attachments.length === 0) {
+    throw new ValidationError([{ location: "body", field: "content", message: "is required without attachments" }]);
+  }
+
+  const found = await findConversationFor(chat || group, req.userId);
+
+  if (!found || found.type !== (chat ? "chat" : "group")) {
+    throw new ForbiddenError("Not authorized.");
+  }
+
+  const attachmentIds = [...new Set(attachments)];
+
+  if (attachmentIds.length > 0) {
+    const available = await Attachment.countDocuments({ _id: { $in: attachmentIds }, uploader: req.userId, message: null });
 
+    if (available !== attachmentIds.length) {
+      throw new BadRequestError("Attachments must be your own uploads that were not sent yet.");
+    }
+  }
+
+  if (chat) {
+    const others = found.conversation.participants.filter(id => !id.equals(req.userId));
+
+    if (others.length === 1 && await isBlockedWithAny(req.userId, others)) {
+      throw new ForbiddenError("You cannot message this user.");
+    }
+  }
+
+  let parent = null;
+
+  if (replyTo) {
+    parent = await Message.findById(replyTo, "_id chat group threadRoot kind");
+
+    const sameConversation = parent && (chat
+      ? parent.chat?.equals(chat)
+      : parent.group?.equals(group));
+
+    if (!sameConversation) {
+      throw new BadRequestError("The replied message must belong to the same conversation.");
+    }
+    if (parent.kind === "system") {
+      throw new BadRequestError("System messages cannot be replied to.");
+    }
+  }
+
+  const message = new Message({
+    sender: req.userId,
+    content,
+    chat,
+    group,
+    replyTo: parent?._id,
+    threadRoot: parent ? (parent.threadRoot || parent._id) : undefined,
+    attachments: attachmentIds
+  });
+
+  await inTransaction(async () => {
     await message.save();
 
+    if (attachmentIds.length > 0) {
+      await Attachment.updateMany({ _id: { $in: attachmentIds } }, { message: message._id });
+    }
+
+    if (parent) {
+      await Message.updateOne({ _id: message.threadRoot }, { $inc: { replyCount: 1 } });
+    }
+
+    const conversationUpdate = {
+      $push: { messages: message._id },
+      lastMessage: message._id,
+      lastActivityAt: message.timestamp
+    };
+
     if (chat) {
-      await Chat.findByIdAndUpdate(chat, { $push: { messages: message._id } });
+      await Chat.findByIdAndUpdate(chat, conversationUpdate);
     } else if (group) {
-      await Group.findByIdAndUpdate(group, { $push: { messages: message._id } });
+      await Group.findByIdAndUpdate(group, conversationUpdate);
     }
 
-    const io = req.app.get("io");
-    
-    const messageWithSender = await message.populate("sender", "_id username");
+    await recordEvent("message.created", toMessageEventData(message));
+  });
+
+  const io = req.app.get("io");
+  
+  const messageWithSender = toMessagePayload(await message.populate(MESSAGE_POPULATE));
+
+  io.to(chat || group).emit("newMessage", messageWithSender);
+  io.serverSideEmit("typing:stop", chat || group, req.userId);
+
+  res.status(201).json(messageWithSender);
+}));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Messages
+ *   description: API endpoints for managing messages
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ * 
+ * /messages/search:
+ *   get:
+ *     summary: Search messages in the user's conversations
+ *     description: Runs a full-text search over the content of messages in the chats and groups the authenticated user participates in. Results are ordered by relevance, then newest first, and carry a snippet of the content with the offsets of the matched words. Deleted messages and messages the user hid are skipped.
+ *     tags: [Messages]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         description: The words to search for. Supports MongoDB text search syntax such as "exact phrases" and -excluded words.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: conversation
+ *         required: false
+ *         description: Only search in the chat or group with this ID.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sender
+ *         required: false
+ *         description: Only return messages sent by the user with this ID.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         description: Only return messages sent at or after this date.
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         description: Only return messages sent at or before this date.
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         required: false
+ *         description: The page of results to return, starting at 1.
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         description: Maximum number of results per page (default 20, at most 50).
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Successfully searched the messages.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                         description: The ID of the message.
+ *                       chat:
+ *                         type: string
+ *                         description: The ID of the chat of the message, if applicable.
+ *                       group:
+ *                         type: string
+ *                         description: The ID of the group of the message, if applicable.
+ *                       sender:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           username:
+ *                             type: string
+ *                       timestamp:
+ *                         type: string
+ *                         format: date-time
+ *                       snippet:
+ *                         type: string
+ *                         description: The part of the content around the first match.
+ *                       highlights:
+ *                         type: array
+ *                         description: The start and end offsets of each match within the snippet.
+ *                         items:
+ *                           type: array
+ *                           items:
+ *                             type: integer
+ *                 page:
+ *                   type: integer
+ *                   description: The returned page.
+ *                 hasMore:
+ *                   type: boolean
+ *                   description: Whether another page of results exists.
+ *       400:
+ *         description: Bad Request. The query is missing or a filter is malformed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating the issue with the request.
+ *       403:
+ *         description: Forbidden. The user is not a participant in the requested conversation.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the user is not authorized.
+ *       500:
+ *         description: Internal server error. The server encountered an error while processing the request.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message describing the issue encountered.
+ */
+router.get('/search', validate({
+  query: {
+    q: string({ max: 200 }),
+    conversation: optional(objectId()),
+    sender: optional(objectId()),
+    from: optional(date()),
+    to: optional(date()),
+    page: optional(int({ min: 1 })),
+    limit: optional(int({ min: 1 }))
+  }
+}), asyncHandler(async (req, res) => {
+  const { q, conversation, sender, from, to, page, limit } = req.query;
+
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+
+  const pageSize = parseLimit(limit, { fallback: 20, max: 50 });
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+
+  const query = {
+    $text: { $search: q },
+    deletedAt: null,
+    hiddenFor: { $ne: req.userId }
+  };
 
-    io.to(chat || group).emit("newMessage", messageWithSender);
+  if (conversation) {
+    const found = await findConversationFor(conversation, req.userId);
+    if (!found) throw new ForbiddenError("Not authorized.");
 
-    res.status(201).json(messageWithSender);
-  } catch (err) {
-    console.log(err)
-    res.status(500).json({ message: err.message });
+    query[found.type] = found.conversation._id;
+  } else {
+    const [chats, groups] = await Promise.all([
+      Chat.find({ participants: req.userId }, "_id"),
+      Group.find({ participants: req.userId }, "_id")
+    ]);
+
+    query.$or = [
+      { chat: { $in: chats.map(c => c._id) } },
+      { group: { $in: groups.map(g => g._id) } }
+    ];
   }
-});
+
+  if (sender) query.sender = sender;
+
+  if (fromDate || toDate) {
+    query.timestamp = {};
+    if (fromDate) query.timestamp.$gte = fromDate;
+    if (toDate) query.timestamp.$lte = toDate;
+  }
+
+  const messages = await Message.find(query, { score: { $meta: "textScore" } })
+    .sort({ score: { $meta: "textScore" }, timestamp: -1 })
+    .skip((pageNumber - 1) * pageSize)
+    .limit(pageSize + 1)
+    .populate("sender", "_id username");
+
+  const hasMore = messages.length > pageSize;
+  if (hasMore) messages.pop();
+
+  const terms = searchTerms(q);
+
+  res.json({
+    results: messages.map(m => ({
+      _id: m._id,
+      chat: m.chat,
+      group: m.group,
+      sender: m.sender,
+      timestamp: m.timestamp,
+      ...buildSnippet(m.content || "", terms)
+    })),
+    page: pageNumber,
+    hasMore
+  });
+}));
 
 /**
  * @swagger
@@ -141,7 +566,7 @@ router.post('/', async (req, res) => {
  * /messages/{messageId}:
  *   get:
  *     summary: Retrieve a specific message by ID
- *     description: Retrieves a specific message by its ID. The response includes details about the message and the user who sent it.
+ *     description: Retrieves a specific message by its ID. The user must be a participant in the message's chat or group. The response includes details about the message, the user who sent it and the prior revisions of edited messages.
  *     tags: [Messages]
  *     security:
  *       - BearerAuth: []
@@ -186,13 +611,70 @@ router.post('/', async (req, res) => {
  *                   type: string
  *                   format: date-time
  *                   description: The time when the message was sent.
+ *                 editedAt:
+ *                   type: string
+ *                   format: date-time
+ *                   description: The time of the last edit, if the message was edited.
+ *                 revisions:
+ *                   type: array
+ *                   description: The previous contents of the message, oldest first.
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       content:
+ *                         type: string
+ *                       editedAt:
+ *                         type: string
+ *                         format: date-time
+ *                 deletedAt:
+ *                   type: string
+ *                   format: date-time
+ *                   description: The time the message was deleted for everyone, if it was.
+ *       400:
+ *         description: Bad Request. Invalid message ID.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 errors:
+ *                   type: array
+ *                   description: The failing fields.
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       location:
+ *                         type: string
+ *                         description: Where the field is, `params`, `query` or `body`.
+ *                       field:
+ *                         type: string
+ *                       message:
+ *                         type: string
+ *       403:
+ *         description: Forbidden. The user is not a participant in the message's chat or group.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the user is not authorized.
  *       404:
- *         description: Not Found. The specified message does not exist.
+ *         description: Not Found. The specified message does not exist or was hidden by the user.
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
  *                 message:
  *                   type: string
  *                   description: Error message indicating the message was not found.
@@ -203,20 +685,26 @@ router.post('/', async (req, res) => {
  *             schema:
  *               type: object
  *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
  *                 message:
  *                   type: string
  *                   description: Error message describing the issue encountered.
  */
-router.get('/:messageId', async (req, res) => {
+router.get('/:messageId', byMessageId, asyncHandler(async (req, res) => {
   const { messageId } = req.params;
 
-  try {
-    const message = await Message.findById(messageId).populate('sender');
-    res.json(message);
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+  const { message, conversation } = await findMessageFor(messageId, req.userId);
+
+  if (!message || message.hiddenFor.includes(req.userId)) {
+    throw new NotFoundError("Message not found.");
   }
-});
+  if (!conversation) throw new ForbiddenError("Not authorized.");
+
+  await message.populate(MESSAGE_POPULATE);
+  res.json(toMessagePayload(message));
+}));
 
 
 /**
@@ -234,8 +722,8 @@ router.get('/:messageId', async (req, res) => {
  * 
  * /messages/{messageId}:
  *   put:
- *     summary: Update the read status of a specific message
- *     description: Updates the read status of a specific message by its ID. This endpoint allows marking a message as read or unread.
+ *     summary: Update the caller's read status of a specific message
+ *     description: Marks a specific message as read or unread for the authenticated user only. The user must be a participant in the message's chat or group. Other participants' read receipts are left untouched.
  *     tags: [Messages]
  *     security:
  *       - BearerAuth: []
@@ -256,12 +744,12 @@ router.get('/:messageId', async (req, res) => {
  *             properties:
  *               isRead:
  *                 type: boolean
- *                 description: Indicates whether the message has been read (`true`) or not (`false`).
+ *                 description: Indicates whether the caller has read the message (`true`) or not (`false`).
  *             required:
  *               - isRead
  *     responses:
  *       200:
- *         description: Successfully updated the message read status.
+ *         description: Successfully updated the caller's read status.
  *         content:
  *           application/json:
  *             schema:
@@ -293,9 +781,19 @@ router.get('/:messageId', async (req, res) => {
  *                   type: string
  *                   format: date-time
  *                   description: The time when the message was sent.
- *                 isRead:
- *                   type: boolean
- *                   description: Indicates whether the message has been read (`true`) or not (`false`).
+ *                 readBy:
+ *                   type: array
+ *                   description: One read receipt per participant who has read the message.
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       user:
+ *                         type: string
+ *                         description: The ID of the user who read the message.
+ *                       readAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: The time when the user read the message.
  *       400:
  *         description: Bad Request. The `isRead` field is required.
  *         content:
@@ -303,9 +801,25 @@ router.get('/:messageId', async (req, res) => {
  *             schema:
  *               type: object
  *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
  *                 message:
  *                   type: string
  *                   description: Error message indicating that the `isRead` field was missing or invalid.
+ *       403:
+ *         description: Forbidden. The user is not a participant in the message's chat or group.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the user is not authorized.
  *       404:
  *         description: Not Found. The specified message does not exist.
  *         content:
@@ -313,6 +827,9 @@ router.get('/:messageId', async (req, res) => {
  *             schema:
  *               type: object
  *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
  *                 message:
  *                   type: string
  *                   description: Error message indicating that the message was not found.
@@ -323,21 +840,956 @@ router.get('/:messageId', async (req, res) => {
  *             schema:
  *               type: object
  *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
  *                 message:
  *                   type: string
  *                   description: Error message describing the issue encountered.
  */
-router.put('/:messageId', async (req, res) => {
+router.put('/:messageId', validate({
+  params: { messageId: objectId() },
+  body: { isRead: boolean() }
+}), asyncHandler(async (req, res) => {
   const { messageId } = req.params;
   const { isRead } = req.body;
 
-  try {
-    const message = await Message.findByIdAndUpdate(messageId, { isRead }, { new: true });
-    res.json(message);
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+  const { message, conversation } = await findMessageFor(messageId, req.userId);
+
+  if (!message) throw new NotFoundError("Message not found.");
+  if (!conversation) throw new ForbiddenError("Not authorized.");
+
+  if (isRead) {
+    await recordReads(req.app.get("io"), req.userId, { _id: message._id });
+  } else {
+    await Message.updateOne({ _id: message._id }, { $pull: { readBy: { user: req.userId } } });
   }
-});
+
+  const updated = await Message.findById(message._id).populate(MESSAGE_POPULATE);
+  res.json(toMessagePayload(updated));
+}));
+
+
+/**
+ * @swagger
+ * tags:
+ *   name: Messages
+ *   description: API endpoints for managing messages
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ * 
+ * /messages/{messageId}/read:
+ *   post:
+ *     summary: Mark a conversation as read up to a message
+ *     description: Adds a read receipt for the authenticated user to the given message and to every earlier message in the same chat or group that the user did not send. Participants in the conversation room receive a `messagesRead` socket event listing the affected messages.
+ *     tags: [Messages]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         description: The ID of the newest message the user has read.
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Successfully marked the conversation as read.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 readAt:
+ *                   type: string
+ *                   format: date-time
+ *                   description: The time recorded on the new read receipts.
+ *                 messageIds:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: The IDs of the messages that were newly marked as read.
+ *       400:
+ *         description: Bad Request. Invalid message ID.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 errors:
+ *                   type: array
+ *                   description: The failing fields.
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       location:
+ *                         type: string
+ *                         description: Where the field is, `params`, `query` or `body`.
+ *                       field:
+ *                         type: string
+ *                       message:
+ *                         type: string
+ *       403:
+ *         description: Forbidden. The user is not a participant in the message's chat or group.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the user is not authorized.
+ *       404:
+ *         description: Not Found. The specified message does not exist.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the message was not found.
+ *       500:
+ *         description: Internal server error. The server encountered an error while processing the request.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message describing the issue encountered.
+ */
+router.post('/:messageId/read', byMessageId, asyncHandler(async (req, res) => {
+  const { messageId } = req.params;
+
+  const { message, conversation } = await findMessageFor(messageId, req.userId);
+
+  if (!message) throw new NotFoundError("Message not found.");
+  if (!conversation) throw new ForbiddenError("Not authorized.");
+
+  const result = await markReadUpTo(req.app.get("io"), req.userId, message);
+  res.json(result);
+}));
+
+
+/**
+ * @swagger
+ * tags:
+ *   name: Messages
+ *   description: API endpoints for managing messages
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ * 
+ * /messages/{messageId}:
+ *   patch:
+ *     summary: Edit the content of a message
+ *     description: Replaces the content of a message sent by the authenticated user. The previous content is kept in the message's revisions and `editedAt` is set. Participants in the conversation room receive a `messageUpdated` socket event.
+ *     tags: [Messages]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         description: The ID of the message to edit.
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 description: The new content of the message.
+ *             required:
+ *               - content
+ *     responses:
+ *       200:
+ *         description: Successfully edited the message. Returns the updated message.
+ *       400:
+ *         description: Bad Request. The content is missing, or the message was deleted or is a system message.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating why the message cannot be edited.
+ *       403:
+ *         description: Forbidden. Only the sender can edit a message.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the user is not authorized.
+ *       404:
+ *         description: Not Found. The specified message does not exist.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the message was not found.
+ *       500:
+ *         description: Internal server error. The server encountered an error while processing the request.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message describing the issue encountered.
+ */
+router.patch('/:messageId', validate({
+  params: { messageId: objectId() },
+  body: { content: string({ max: MAX_CONTENT_LENGTH }) }
+}), asyncHandler(async (req, res) => {
+  const { messageId } = req.params;
+  const { content } = req.body;
+
+  const { message, conversation } = await findMessageFor(messageId, req.userId);
+
+  if (!message) throw new NotFoundError("Message not found.");
+  if (!conversation || !message.sender?.equals(req.userId)) {
+    throw new ForbiddenError("Not authorized.");
+  }
+  if (message.deletedAt) throw new BadRequestError("Message was deleted.");
+  if (message.kind === "system") throw new BadRequestError("System messages cannot be edited.");
+
+  message.revisions.push({ content: message.content, editedAt: message.editedAt || message.timestamp });
+  message.content = content;
+  message.editedAt = new Date();
+
+  await inTransaction(async () => {
+    await message.save();
+
+    await recordEvent("message.edited", toMessageEventData(message));
+  });
+
+  const updated = toMessagePayload(await message.populate(MESSAGE_POPULATE));
+
+  req.app.get("io").to(String(conversation._id)).emit("messageUpdated", updated);
+
+  res.json(updated);
+}));
+
+
+/**
+ * @swagger
+ * tags:
+ *   name: Messages
+ *   description: API endpoints for managing messages
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ * 
+ * /messages/{messageId}:
+ *   delete:
+ *     summary: Delete a message for everyone
+ *     description: Deletes a message sent by the authenticated user for all participants. The message stays in the history as a tombstone whose content reads "message deleted", and its revisions, reactions and attachments are discarded. Participants in the conversation room receive a `messageDeleted` socket event.
+ *     tags: [Messages]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         description: The ID of the message to delete.
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Successfully deleted the message. Returns the tombstone.
+ *       400:
+ *         description: Bad Request. Invalid message ID, or the message is a system message.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 errors:
+ *                   type: array
+ *                   description: The failing fields.
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       location:
+ *                         type: string
+ *                         description: Where the field is, `params`, `query` or `body`.
+ *                       field:
+ *                         type: string
+ *                       message:
+ *                         type: string
+ *       403:
+ *         description: Forbidden. Only the sender can delete a message for everyone.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the user is not authorized.
+ *       404:
+ *         description: Not Found. The specified message does not exist.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the message was not found.
+ *       500:
+ *         description: Internal server error. The server encountered an error while processing the request.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message describing the issue encountered.
+ */
+router.delete('/:messageId', byMessageId, asyncHandler(async (req, res) => {
+  const { messageId } = req.params;
+
+  const { message, conversation } = await findMessageFor(messageId, req.userId);
+
+  if (!message) throw new NotFoundError("Message not found.");
+  if (!conversation || !message.sender?.equals(req.userId)) {
+    throw new ForbiddenError("Not authorized.");
+  }
+  if (message.kind === "system") throw new BadRequestError("System messages cannot be deleted.");
+
+  if (!message.deletedAt) {
+    message.content = DELETED_MESSAGE_CONTENT;
+    const attachmentIds = [...message.attachments];
+
+    message.revisions = [];
+    message.reactions = [];
+    message.attachments = [];
+    message.deletedAt = new Date();
+
+    await inTransaction(async () => {
+      await message.save();
+
+      await removeAttachments(attachmentIds);
+
+      await recordEvent("message.deleted", toMessageEventData(message));
+    });
+
+    req.app.get("io").to(String(conversation._id)).emit("messageDeleted", {
+      _id: message._id,
+      chat: message.chat,
+      group: message.group,
+      deletedAt: message.deletedAt,
+      scope: "everyone"
+    });
+  }
+
+  res.json(toMessagePayload(await message.populate(MESSAGE_POPULATE)));
+}));
+
+
+/**
+ * @swagger
+ * tags:
+ *   name: Messages
+ *   description: API endpoints for managing messages
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ * 
+ * /messages/{messageId}/hide:
+ *   post:
+ *     summary: Delete a message for the current user only
+ *     description: Hides a message from the authenticated user's history without affecting other participants. The user's other devices receive a `messageDeleted` socket event with scope `me`.
+ *     tags: [Messages]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         description: The ID of the message to hide.
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Successfully hid the message.
+ *       400:
+ *         description: Bad Request. Invalid message ID.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 errors:
+ *                   type: array
+ *                   description: The failing fields.
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       location:
+ *                         type: string
+ *                         description: Where the field is, `params`, `query` or `body`.
+ *                       field:
+ *                         type: string
+ *                       message:
+ *                         type: string
+ *       403:
+ *         description: Forbidden. The user is not a participant in the message's chat or group.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the user is not authorized.
+ *       404:
+ *         description: Not Found. The specified message does not exist.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the message was not found.
+ *       500:
+ *         description: Internal server error. The server encountered an error while processing the request.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message describing the issue encountered.
+ */
+router.post('/:messageId/hide', byMessageId, asyncHandler(async (req, res) => {
+  const { messageId } = req.params;
+
+  const { message, conversation } = await findMessageFor(messageId, req.userId);
+
+  if (!message) throw new NotFoundError("Message not found.");
+  if (!conversation) throw new ForbiddenError("Not authorized.");
+
+  await Message.updateOne({ _id: message._id }, { $addToSet: { hiddenFor: req.userId } });
+
+  req.app.get("io").to(userRoom(req.userId)).emit("messageDeleted", {
+    _id: message._id,
+    chat: message.chat,
+    group: message.group,
+    scope: "me"
+  });
+
+  res.sendStatus(204);
+}));
+
+
+/**
+ * @swagger
+ * tags:
+ *   name: Messages
+ *   description: API endpoints for managing messages
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ * 
+ * /messages/{messageId}/reactions:
+ *   post:
+ *     summary: React to a message
+ *     description: Adds the authenticated user's reaction with the given emoji to a message. Reacting twice with the same emoji has no further effect. Participants in the conversation room receive a `reactionUpdated` socket event.
+ *     tags: [Messages]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         description: The ID of the message to react to.
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               emoji:
+ *                 type: string
+ *                 description: A single emoji.
+ *             required:
+ *               - emoji
+ *             example:
+ *               emoji: 👍
+ *     responses:
+ *       200:
+ *         description: Successfully added the reaction. Returns the message's reactions grouped by emoji.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   emoji:
+ *                     type: string
+ *                     description: The emoji.
+ *                   count:
+ *                     type: integer
+ *                     description: How many users reacted with this emoji.
+ *                   users:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                         username:
+ *                           type: string
+ *       400:
+ *         description: Bad Request. The emoji is missing or invalid, or the message was deleted or is a system message.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating the issue with the request.
+ *       403:
+ *         description: Forbidden. The user is not a participant in the message's chat or group.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the user is not authorized.
+ *       404:
+ *         description: Not Found. The specified message does not exist.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the message was not found.
+ *       500:
+ *         description: Internal server error. The server encountered an error while processing the request.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message describing the issue encountered.
+ */
+router.post('/:messageId/reactions', validate({
+  params: { messageId: objectId() },
+  body: { emoji: check(isEmoji, "must be a single emoji") }
+}), asyncHandler(async (req, res) => {
+  const { messageId } = req.params;
+  const { emoji } = req.body;
+
+  const { message, conversation } = await findMessageFor(messageId, req.userId);
+
+  if (!message) throw new NotFoundError("Message not found.");
+  if (!conversation) throw new ForbiddenError("Not authorized.");
+  if (message.deletedAt) throw new BadRequestError("Message was deleted.");
+  if (message.kind === "system") throw new BadRequestError("System messages cannot be reacted to.");
+
+  const updated = await Message.findOneAndUpdate(
+    { _id: message._id, reactions: { $not: { $elemMatch: { emoji, user: req.userId } } } },
+    { $push: { reactions: { emoji, user: req.userId } } },
+    { new: true }
+  );
+
+  if (!updated) {
+    await message.populate(MESSAGE_POPULATE);
+    return res.json(toMessagePayload(message).reactions);
+  }
+
+  res.json(broadcastReactions(req, await updated.populate(MESSAGE_POPULATE)));
+}));
+
+
+/**
+ * @swagger
+ * tags:
+ *   name: Messages
+ *   description: API endpoints for managing messages
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ * 
+ * /messages/{messageId}/reactions/{emoji}:
+ *   delete:
+ *     summary: Remove a reaction from a message
+ *     description: Removes the authenticated user's reaction with the given emoji from a message. Participants in the conversation room receive a `reactionUpdated` socket event.
+ *     tags: [Messages]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         description: The ID of the message.
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: emoji
+ *         required: true
+ *         description: The URL-encoded emoji to remove.
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Successfully removed the reaction. Returns the message's reactions grouped by emoji.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   emoji:
+ *                     type: string
+ *                     description: The emoji.
+ *                   count:
+ *                     type: integer
+ *                     description: How many users reacted with this emoji.
+ *                   users:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                         username:
+ *                           type: string
+ *       400:
+ *         description: Bad Request. Invalid message ID or emoji.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 errors:
+ *                   type: array
+ *                   description: The failing fields.
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       location:
+ *                         type: string
+ *                         description: Where the field is, `params`, `query` or `body`.
+ *                       field:
+ *                         type: string
+ *                       message:
+ *                         type: string
+ *       403:
+ *         description: Forbidden. The user is not a participant in the message's chat or group.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the user is not authorized.
+ *       404:
+ *         description: Not Found. The specified message does not exist.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the message was not found.
+ *       500:
+ *         description: Internal server error. The server encountered an error while processing the request.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message describing the issue encountered.
+ */
+router.delete('/:messageId/reactions/:emoji', validate({
+  params: { messageId: objectId(), emoji: string({ max: MAX_EMOJI_LENGTH }) }
+}), asyncHandler(async (req, res) => {
+  const { messageId, emoji } = req.params;
+
+  const { message, conversation } = await findMessageFor(messageId, req.userId);
+
+  if (!message) throw new NotFoundError("Message not found.");
+  if (!conversation) throw new ForbiddenError("Not authorized.");
+
+  const updated = await Message.findOneAndUpdate(
+    { _id: message._id, reactions: { $elemMatch: { emoji, user: req.userId } } },
+    { $pull: { reactions: { emoji, user: req.userId } } },
+    { new: true }
+  );
+
+  if (!updated) {
+    await message.populate(MESSAGE_POPULATE);
+    return res.json(toMessagePayload(message).reactions);
+  }
+
+  res.json(broadcastReactions(req, await updated.populate(MESSAGE_POPULATE)));
+}));
+
+
+/**
+ * @swagger
+ * tags:
+ *   name: Messages
+ *   description: API endpoints for managing messages
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ * 
+ * /messages/{messageId}/thread:
+ *   get:
+ *     summary: Retrieve the replies to a message
+ *     description: Returns the root message of a thread together with a page of its replies, newest first. Replies to replies belong to the same thread. The user must be a participant in the message's chat or group. Pass the returned `nextCursor` as `before` to load older replies.
+ *     tags: [Messages]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         description: The ID of the root message of the thread.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: before
+ *         required: false
+ *         description: Only return replies older than the reply with this ID.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: after
+ *         required: false
+ *         description: Only return replies newer than the reply with this ID.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         description: Maximum number of replies to return (default 50, at most 100).
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the thread.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 root:
+ *                   type: object
+ *                   description: The root message, including its `replyCount`.
+ *                 messages:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                   description: The replies in the thread.
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: The cursor to pass with the same direction to continue paging, or null when there are no more replies.
+ *       400:
+ *         description: Bad Request. The cursor does not belong to this thread.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating the cursor is invalid.
+ *       403:
+ *         description: Forbidden. The user is not a participant in the message's chat or group.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the user is not authorized.
+ *       404:
+ *         description: Not Found. The specified message does not exist.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message indicating that the message was not found.
+ *       500:
+ *         description: Internal server error. The server encountered an error while processing the request.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   description: Machine-readable error code.
+ *                 message:
+ *                   type: string
+ *                   description: Error message describing the issue encountered.
+ */
+router.get('/:messageId/thread', validate({ params: { messageId: objectId() }, query: pageQuery }), asyncHandler(async (req, res) => {
+  const { messageId } = req.params;
+
+  const { message, conversation } = await findMessageFor(messageId, req.userId);
+
+  if (!message) throw new NotFoundError("Message not found.");
+  if (!conversation) throw new ForbiddenError("Not authorized.");
+
+  const page = await paginateMessages({ threadRoot: message._id }, req.userId, req.query);
+
+  if (!page) throw new BadRequestError("Invalid cursor.");
+
+  await message.populate(MESSAGE_POPULATE);
+  res.json({ root: toMessagePayload(message), ...page });
+}));
 
 
 module.exports = router;
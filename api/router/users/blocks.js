@@ -0,0 +1,213 @@
+const { Router } = require("express");
+
+const { User } = require("./../../schema/user");
+const { cancelRequestsBetween } = require("./../../utils/friendRequests");
+const { recordEvent } = require("./../../utils/events");
+const { inTransaction } = require("./../../utils/transaction");
+const validate = require("./../../middleware/validate");
+const asyncHandler = require("./../../utils/asyncHandler");
+const { BadRequestError, NotFoundError } = require("./../../errors");
+const { string } = require("./../../utils/rules");
+
+const blocksRouter = Router();
+
+const usernameInBody = validate({ body: { username: string({ max: 64 }) } });
+const usernameInParams = validate({ params: { username: string({ max: 64 }) } });
+
+/**
+ * @swagger
+ * tags:
+ *   name: Users
+ *   description: API endpoints for user
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ * 
+ * /blocks:
+ *   get:
+ *     summary: Get the list of users blocked by the current user
+ *     description: Retrieves the users the current user has blocked. The user ID must be provided in the request's authentication token.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the blocked users.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                     description: The ID of the blocked user.
+ *                   username:
+ *                     type: string
+ *                     description: The username of the blocked user.
+ *       404:
+ *         description: Not Found. User not found.
+ *       500:
+ *         description: Internal server error.
+ */
+blocksRouter.get("/", asyncHandler(async (req, res) => {
+  const user = await User.findById(req.userId).populate("blocked", "_id username");
+
+  if (!user) throw new NotFoundError("User not found.");
+
+  res.status(200).json(user.blocked.map(b => ({ id: b._id, username: b.username })));
+}));
+
+
+/**
+ * @swagger
+ * tags:
+ *   name: Users
+ *   description: API endpoints for user
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ *
+ * /blocks:
+ *   post:
+ *     summary: Block a user
+ *     description: Blocks the user specified by `username`. Any friendship and pending friend requests between the two users are removed. A blocked user cannot send friend requests to the current user, start a chat with them or message them in a 1:1 chat, and the current user is hidden from their lookups.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 description: The username of the user to block.
+ *             example:
+ *               username: johndoe
+ *     responses:
+ *       200:
+ *         description: User successfully blocked. Returns the username and ID of the blocked user.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 username:
+ *                   type: string
+ *                   description: Username of the blocked user.
+ *                 id:
+ *                   type: string
+ *                   description: The ID of the user.
+ *       400:
+ *         description: Bad request. Missing username or attempt to block oneself.
+ *       404:
+ *         description: Not Found. User not found.
+ *       500:
+ *         description: Internal server error.
+ */
+blocksRouter.post("/", usernameInBody, asyncHandler(async (req, res) => {
+  const { username } = req.body;
+
+  const target = await User.findOne({ username });
+
+  if (!target) throw new NotFoundError("User not found.");
+  if (target._id.equals(req.userId)) throw new BadRequestError("You cannot block yourself.");
+
+  await inTransaction(async () => {
+    await User.updateOne({ _id: req.userId }, {
+      $addToSet: { blocked: target._id },
+      $pull: { friends: target._id }
+    });
+    await User.updateOne({ _id: target._id }, { $pull: { friends: req.userId } });
+    await cancelRequestsBetween(req.userId, target._id);
+
+    await recordEvent("user.blocked", { userId: req.userId, blockedId: target._id });
+  });
+
+  return res.status(200).json({ username: target.username, id: target._id });
+}));
+
+
+/**
+ * @swagger
+ * tags:
+ *   name: Users
+ *   description: API endpoints for user
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ *
+ * /blocks/{username}:
+ *   delete:
+ *     summary: Unblock a user
+ *     description: Removes the user specified by `username` from the current user's blocked users. The friendship removed when blocking is not restored.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The username of the user to unblock.
+ *     responses:
+ *       200:
+ *         description: User successfully unblocked. Returns the username and ID of the unblocked user.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 username:
+ *                   type: string
+ *                   description: Username of the unblocked user.
+ *                 id:
+ *                   type: string
+ *                   description: The ID of the user.
+ *       400:
+ *         description: Bad request. Invalid username.
+ *       404:
+ *         description: Not Found. User not found or not blocked.
+ *       500:
+ *         description: Internal server error.
+ */
+blocksRouter.delete("/:username", usernameInParams, asyncHandler(async (req, res) => {
+  const username = req.params.username;
+
+  const target = await User.findOne({ username });
+
+  if (!target) throw new NotFoundError("User not found.");
+
+  await inTransaction(async () => {
+    const result = await User.updateOne(
+      { _id: req.userId, blocked: target._id },
+      { $pull: { blocked: target._id } }
+    );
+
+    if (result.modifiedCount === 0) throw new NotFoundError("User is not blocked.");
+
+    await recordEvent("user.unblocked", { userId: req.userId, blockedId: target._id });
+  });
+
+  return res.status(200).json({ username: target.username, id: target._id });
+}));
+
+
+module.exports = blocksRouter;
@@ -1,9 +1,31 @@
 const { Router } = require("express");
 
 const { User } = require("./../../schema/user");
+const { FriendRequest } = require("./../../schema/friendRequest");
+const { notBlocking } = require("./../../utils/blocks");
+const {
+  REQUEST_POPULATE,
+  toFriendRequestPayload,
+  answerRequest
+} = require("./../../utils/friendRequests");
+const { userRoom } = require("./../../socket/rooms");
+const { recordEvent } = require("./../../utils/events");
+const { inTransaction } = require("./../../utils/transaction");
+const validate = require("./../../middleware/validate");
+const asyncHandler = require("./../../utils/asyncHandler");
+const { BadRequestError, ForbiddenError, NotFoundError, ConflictError } = require("./../../errors");
+const { string } = require("./../../utils/rules");
 
 const friendsRouter = Router();
 
+const usernameInBody = validate({ body: { username: string({ max: 64 }) } });
+const usernameInParams = validate({ params: { username: string({ max: 64 }) } });
+
+const addFriends = async (userId, friendId) => {
+  await User.updateOne({ _id: userId }, { $addToSet: { friends: friendId } });
+  await User.updateOne({ _id: friendId }, { $addToSet: { friends: userId } });
+}
+
 /**
  * @swagger
  * tags:
@@ -20,13 +42,13 @@ const friendsRouter = Router();
  * /friends:
  *   get:
  *     summary: Get the list of friends and friend requests for the current user
- *     description: Retrieves the list of friends and friend requests for the current user. The user ID must be provided in the request's authentication token. Returns an object containing arrays of friend and friend request objects, each containing only the _id and username fields.
+ *     description: Retrieves the list of friends, pending incoming friend requests and pending outgoing friend requests for the current user. The user ID must be provided in the request's authentication token. Returns an object containing arrays of friend and friend request objects. Friends additionally carry their presence.
  *     tags: [Users]
  *     security:
  *       - BearerAuth: []
  *     responses:
  *       200:
- *         description: Successfully retrieved the lists of friends and friend requests. Returns an object with arrays of friend and friend request objects, each with _id and username fields.
+ *         description: Successfully retrieved the lists of friends and friend requests. Returns an object with arrays of friend and friend request objects, with friends including their online state and last-seen time.
  *         content:
  *           application/json:
  *             schema:
@@ -43,6 +65,13 @@ const friendsRouter = Router();
  *                       username:
  *                         type: string
  *                         description: The username of the friend.
+ *                       online:
+ *                         type: boolean
+ *                         description: Whether the friend currently has at least one open socket.
+ *                       lastSeenAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: When the friend last connected or disconnected.
  *                 friendRequests:
  *                   type: array
  *                   items:
@@ -54,30 +83,54 @@ const friendsRouter = Router();
  *                       username:
  *                         type: string
  *                         description: The username of the user who sent the friend request.
+ *                       requestedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: When the friend request was sent.
+ *                 outgoingRequests:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         description: The ID of the user the friend request was sent to.
+ *                       username:
+ *                         type: string
+ *                         description: The username of the user the friend request was sent to.
+ *                       requestedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: When the friend request was sent.
  *       404:
  *         description: Not Found. User not found.
  *       500:
  *         description: Internal server error.
  */
-friendsRouter.get("/", async (req, res) => {
-  try {
-    const user = await User.findById(req.userId)
-      .populate("friends")
-      .populate("friendRequests");
-
-    if (!user) res.sendStatus(404);
-    
-    const payload = {
-      friends: user.friends.map(f => ({ id: f._id, username: f.username })),
-      friendRequests: user.friendRequests.map(f => ({ id: f._id, username: f.username }))
-    }
-    
-    res.status(200).json(payload);
-    
-  } catch (e) {
-    res.sendStatus(500);
+friendsRouter.get("/", asyncHandler(async (req, res) => {
+  const user = await User.findById(req.userId).populate("friends");
+
+  if (!user) throw new NotFoundError("User not found.");
+
+  const [incoming, outgoing] = await Promise.all([
+    FriendRequest.find({ to: user._id, status: "pending" }).sort({ createdAt: -1 }).populate(REQUEST_POPULATE),
+    FriendRequest.find({ from: user._id, status: "pending" }).sort({ createdAt: -1 }).populate(REQUEST_POPULATE)
+  ]);
+  
+  const payload = {
+    friends: user.friends.map(f => ({
+      id: f._id,
+      username: f.username,
+      online: f.connected,
+      lastSeenAt: f.lastSeenAt
+    })),
+    friendRequests: incoming.map(r => ({ id: r.from._id, username: r.from.username, requestedAt: r.createdAt })),
+    outgoingRequests: outgoing.map(r => ({ id: r.to._id, username: r.to.username, requestedAt: r.createdAt }))
   }
-})
+  
+  res.status(200).json(payload);
+  
+}));
 
 
 /**
@@ -95,8 +148,8 @@ friendsRouter.get("/", async (req, res) => {
  *
  * /friends:
  *   post:
- *     summary: Add a friend to the user's friend list
- *     description: Adds a user specified by `username` to the current user's friend list. The user ID must be provided in the request's authentication token. If the user is already a friend, a conflict response is returned.
+ *     summary: Send a friend request
+ *     description: Sends a friend request to the user specified by `username`, who receives a `friendRequest:received` socket event. If that user already sent a pending request to the current user, both become friends right away and the other user receives a `friendRequest:accepted` socket event instead. The user ID must be provided in the request's authentication token. If the user is already a friend or already has a pending request from the current user, a conflict response is returned. Users who blocked the current user are reported as not found, and users blocked by the current user cannot be added.
  *     tags: [Users]
  *     security:
  *       - BearerAuth: []
@@ -114,7 +167,7 @@ friendsRouter.get("/", async (req, res) => {
  *               username: johndoe
  *     responses:
  *       200:
- *         description: Friend successfully added to the user's friend list. Returns the username of the added friend.
+ *         description: Friend request sent, or mutual request accepted. Returns the username and ID of the user and the status of the request.
  *         content:
  *           application/json:
  *             schema:
@@ -122,44 +175,76 @@ friendsRouter.get("/", async (req, res) => {
  *               properties:
  *                 username:
  *                   type: string
- *                   description: Username of the added friend.
+ *                   description: Username of the requested user.
  *                 id:
  *                   type: string
  *                   description: The ID of the user.
+ *                 status:
+ *                   type: string
+ *                   enum: [pending, accepted]
+ *                   description: "`accepted` when the users became friends because of a mutual request, `pending` otherwise."
  *       400:
- *         description: Bad request. Missing username or other validation errors.
+ *         description: Bad request. Missing username or attempt to befriend oneself.
  *       404:
  *         description: Not Found. User or friend not found.
+ *       403:
+ *         description: Forbidden. The current user has blocked this user.
  *       409:
- *         description: Conflict. The user is already in the friend list.
+ *         description: Conflict. The user is already in the friend list or already has a pending request from the current user.
  *       500:
  *         description: Internal server error.
  */
-friendsRouter.post("/", async (req, res) => {
+friendsRouter.post("/", usernameInBody, asyncHandler(async (req, res) => {
   const { username } = req.body;
 
-  if (!username) return res.sendStatus(400);
+  const user = await User.findById(req.userId);
+
+  const friend = await User.findOne({ username, ...notBlocking(user._id) });
+
+  if (!friend) throw new NotFoundError("User not found.");
+  if (friend._id.equals(user._id)) throw new BadRequestError("You cannot add yourself as a friend.");
+  if (user.blocked.some(id => id.equals(friend._id))) throw new ForbiddenError("You have blocked this user.");
   
-  try {
-    const user = await User.findById(req.userId);
+  const isAlreadyFriend = user.friends.some(id => id.equals(friend._id));
 
-    const friend = await User.findOne({ username });
+  if (isAlreadyFriend) throw new ConflictError("You are already friends.");
 
-    if (!friend) return res.sendStatus(404);
-    
-    const isAlreadyFriend = user.friends.includes(friend._id);
+  const io = req.app.get("io");
 
-    if (isAlreadyFriend) return res.sendStatus(409);
+  const request = await inTransaction(async () => {
+    // A pending request the other way round means both want it: accept it
+    // instead of opening a second one.
+    const mutual = await answerRequest(io, friend._id, user._id, "accepted", friend._id);
 
-    friend.friendRequests.push(user._id);
-    await friend.save();
-    await user.save();
-    
-    return res.status(200).json({ username: friend.username, id: friend._id });
-  } catch (e) {
-    res.sendStatus(500);
+    if (mutual) {
+      await addFriends(user._id, friend._id);
+      return null;
+    }
+
+    const request = new FriendRequest({ from: user._id, to: friend._id });
+
+    try {
+      await request.save();
+    } catch (e) {
+      if (e.code === 11000) throw new ConflictError("A friend request is already pending.");
+      throw e;
+    }
+
+    await recordEvent("friend.requested", { requestId: request._id, fromId: user._id, toId: friend._id });
+
+    return request;
+  });
+
+  if (!request) {
+    return res.status(200).json({ username: friend.username, id: friend._id, status: "accepted" });
   }
-})
+
+  await request.populate(REQUEST_POPULATE);
+
+  io.to(userRoom(friend._id)).emit("friendRequest:received", toFriendRequestPayload(request));
+  
+  return res.status(200).json({ username: friend.username, id: friend._id, status: "pending" });
+}));
 
 
 /**
@@ -210,28 +295,31 @@ friendsRouter.post("/", async (req, res) => {
  *       500:
  *         description: Internal server error.
  */
-friendsRouter.delete("/:username", async (req, res) => {
+friendsRouter.delete("/:username", usernameInParams, asyncHandler(async (req, res) => {
   const username = req.params.username;
 
-  if (!username) return res.sendStatus(400);
+  const user = await User.findById(req.userId);
+
+  const friend = await User.findOne({ username });
+
+  if (!friend) throw new NotFoundError("User not found.");
   
-  try {
-    const user = await User.findById(req.userId);
+  const wereFriends = user.friends.some(id => id.equals(friend._id));
 
-    const friend = await User.findOne({ username });
+  user.friends = user.friends.filter(id => !id.equals(friend._id));
+  friend.friends = friend.friends.filter(id => !id.equals(user._id));
 
-    if (!friend) return res.sendStatus(404);
-    
-    user.friends = user.friends.filter(id => !id.equals(friend._id));
-    friend.friends = friend.friends.filter(id => !id.equals(user._id));
+  await inTransaction(async () => {
     await friend.save();
     await user.save();
-    
-    return res.status(200).json({ username: friend.username, id: friend._id });
-  } catch (e) {
-    res.sendStatus(500);
-  }
-})
+
+    if (wereFriends) {
+      await recordEvent("friend.removed", { userId: user._id, friendId: friend._id });
+    }
+  });
+  
+  return res.status(200).json({ username: friend.username, id: friend._id });
+}));
 
 
 /**
@@ -250,7 +338,7 @@ friendsRouter.delete("/:username", async (req, res) => {
  * /friends/accept:
  *   put:
  *     summary: Accept a friend request
- *     description: Accepts a friend request from a user specified by `username`. The user ID must be provided in the request's authentication token. If the user is not found or there is no friend request from the user, appropriate error responses are returned.
+ *     description: Accepts a pending friend request from a user specified by `username`, who receives a `friendRequest:accepted` socket event. The user ID must be provided in the request's authentication token. If the user is not found or there is no pending friend request from the user, appropriate error responses are returned.
  *     tags: [Users]
  *     security:
  *       - BearerAuth: []
@@ -283,34 +371,29 @@ friendsRouter.delete("/:username", async (req, res) => {
  *       400:
  *         description: Bad request. Missing username or other validation errors.
  *       404:
- *         description: Not Found. Friend not found.
+ *         description: Not Found. Friend or pending friend request not found.
  *       500:
  *         description: Internal server error.
  */
-friendsRouter.put("/accept", async (req, res) => {
+friendsRouter.put("/accept", usernameInBody, asyncHandler(async (req, res) => {
   const { username } = req.body;
 
-  if (!username) return res.sendStatus(400);
+  const user = await User.findById(req.userId);
 
-  try {
-    const user = await User.findById(req.userId);
+  const friend = await User.findOne({ username });
 
-    const friend = await User.findOne({ username });
+  if (!friend) throw new NotFoundError("User not found.");
+  
+  await inTransaction(async () => {
+    const request = await answerRequest(req.app.get("io"), friend._id, user._id, "accepted", friend._id);
 
-    if (!friend) return res.sendStatus(404);
-    
-    
-    user.friendRequests = user.friendRequests.filter(id => !id.equals(friend._id));
-    user.friends.push(friend._id);
-    friend.friends.push(user._id);
-    await friend.save();
-    await user.save();
-    
-    return res.status(200).json({ username: friend.username, id: friend._id });
-  } catch (e) {
-    res.sendStatus(500);
-  }
-})
+    if (!request) throw new NotFoundError("No pending friend request.");
+
+    await addFriends(user._id, friend._id);
+  });
+  
+  return res.status(200).json({ username: friend.username, id: friend._id });
+}));
 
 
 /**
@@ -329,7 +412,7 @@ friendsRouter.put("/accept", async (req, res) => {
  * /friends/reject:
  *   put:
  *     summary: Reject a friend request
- *     description: Rejects a friend request from a user specified by `username`. The user ID must be provided in the request's authentication token. If the user is not found or there is no pending friend request from the user, appropriate error responses are returned.
+ *     description: Declines a pending friend request from a user specified by `username`, who receives a `friendRequest:declined` socket event. The user ID must be provided in the request's authentication token. If the user is not found or there is no pending friend request from the user, appropriate error responses are returned.
  *     tags: [Users]
  *     security:
  *       - BearerAuth: []
@@ -366,26 +449,84 @@ friendsRouter.put("/accept", async (req, res) => {
  *       500:
  *         description: Internal server error.
  */
-friendsRouter.put("/reject", async (req, res) => {
+friendsRouter.put("/reject", usernameInBody, asyncHandler(async (req, res) => {
   const { username } = req.body;
 
-  if (!username) return res.sendStatus(400);
+  const user = await User.findById(req.userId);
 
-  try {
-    const user = await User.findById(req.userId);
+  const friend = await User.findOne({ username });
 
-    const friend = await User.findOne({ username });
+  if (!friend) throw new NotFoundError("User not found.");
+  
+  const request = await answerRequest(req.app.get("io"), friend._id, user._id, "declined", friend._id);
 
-    if (!friend) return res.sendStatus(404); 
-    
-    user.friendRequests = user.friendRequests.filter(id => !id.equals(friend._id));
-    await user.save();
-    
-    return res.status(200).json({ username: friend.username, id: friend._id });
-  } catch (e) {
-    res.sendStatus(500);
-  }
-})
+  if (!request) throw new NotFoundError("No pending friend request.");
+  
+  return res.status(200).json({ username: friend.username, id: friend._id });
+}));
+
+
+/**
+ * @swagger
+ * tags:
+ *   name: Users
+ *   description: API endpoints for user
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ *
+ * /friends/requests/{username}:
+ *   delete:
+ *     summary: Cancel an outgoing friend request
+ *     description: Cancels the pending friend request the current user sent to the user specified by `username`, who receives a `friendRequest:cancelled` socket event. The user ID must be provided in the request's authentication token.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The username of the user the friend request was sent to.
+ *     responses:
+ *       200:
+ *         description: Friend request successfully cancelled. Returns the username and ID of the user the request was sent to.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 username:
+ *                   type: string
+ *                   description: Username of the user the request was sent to.
+ *                 id:
+ *                   type: string
+ *                   description: The ID of the user.
+ *       400:
+ *         description: Bad request. Invalid username.
+ *       404:
+ *         description: Not Found. User or pending friend request not found.
+ *       500:
+ *         description: Internal server error.
+ */
+friendsRouter.delete("/requests/:username", usernameInParams, asyncHandler(async (req, res) => {
+  const username = req.params.username;
+
+  const friend = await User.findOne({ username });
+
+  if (!friend) throw new NotFoundError("User not found.");
+
+  const request = await answerRequest(req.app.get("io"), req.userId, friend._id, "cancelled", friend._id);
+
+  if (!request) throw new NotFoundError("No pending friend request.");
+
+  return res.status(200).json({ username: friend.username, id: friend._id });
+}));
 
 
 module.exports = friendsRouter;
@@ -1,11 +1,38 @@
 const { Router } = require("express");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 
 const { User } = require("./../../schema/user");
+const { createSession, deviceOf, clientIp } = require("./../../utils/sessions");
+const { lockedUntil, recordFailure, clearFailures } = require("./../../utils/loginLockout");
+const rateLimit = require("./../../middleware/rateLimit");
+const validate = require("./../../middleware/validate");
+const asyncHandler = require("./../../utils/asyncHandler");
+const { UnauthorizedError, TooManyRequestsError } = require("./../../errors");
+const { string } = require("./../../utils/rules");
+
 
 const loginRouter = Router();
 
+const WINDOW_MS = parseInt(process.env.LOGIN_RATE_LIMIT_WINDOW_MS, 10) || 15 * 60 * 1000;
+
+const ipLimit = rateLimit({
+  name: "login-ip",
+  windowMs: WINDOW_MS,
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_PER_IP, 10) || 30,
+  keyOf: clientIp
+});
+
+const accountLimit = rateLimit({
+  name: "login-account",
+  windowMs: WINDOW_MS,
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_PER_ACCOUNT, 10) || 10,
+  keyOf: (req) => req.body?.username
+});
+
+// Compared against when the username is unknown, so that a missing account
+// takes as long to reject as a wrong password.
+const DUMMY_HASH = bcrypt.hashSync("people-sync", 10);
+
 /**
  * @swagger
  * tags:
@@ -15,7 +42,7 @@ const loginRouter = Router();
  * /login:
  *   post:
  *     summary: Login a user
- *     description: Authenticate a user with username and password, and generate a JWT token for authorization.
+ *     description: Authenticate a user with username and password, and open a session for the device, recording its user agent and IP address. Returns a short-lived JWT access token for authorization and a refresh token that can be traded for new tokens at `/token`. Attempts are rate limited per IP address and per username, and repeated failures lock the username out for increasingly long periods.
  *     tags: [Users]
  *     requestBody:
  *       required: true
@@ -33,7 +60,7 @@ const loginRouter = Router();
  *               password: password123
  *     responses:
  *       200:
- *         description: User successfully logged in. Returns a JWT token.
+ *         description: User successfully logged in. Returns a JWT access token and a refresh token.
  *         content:
  *           application/json:
  *             schema:
@@ -41,36 +68,53 @@ const loginRouter = Router();
  *               properties:
  *                 token:
  *                   type: string
- *                   description: JWT token for authenticated user.
+ *                   description: JWT access token for authenticated user. Expires after `ACCESS_TOKEN_TTL` (15 minutes by default).
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Single-use token to obtain new tokens at `/token`.
+ *                 refreshTokenExpiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                   description: When the refresh token expires.
  *       400:
  *         description: Bad request. Missing username or password.
  *       401:
- *         description: Unauthorized. Invalid username or password.
- *       404:
- *         description: Not Found. User not found.
+ *         description: Unauthorized. Invalid username or password. Unknown usernames get the same answer.
+ *       429:
+ *         description: Too many requests. Too many attempts from this IP address or for this username, or the username is locked out after repeated failures. The `Retry-After` header tells how many seconds to wait.
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds to wait before trying again.
  *       500:
  *         description: Internal server error.
  */
-loginRouter.post("/", async (req, res) => {
-  const { username, password } = req.body;
+// Only the shape is checked: accounts created before the username and
+// password rules existed must still be able to log in.
+const credentials = validate({ body: { username: string({ max: 64 }), password: string({ max: 128 }) } });
 
-  if (!username || !password) return res.sendStatus(400);
+loginRouter.post("/", ipLimit, credentials, accountLimit, asyncHandler(async (req, res) => {
+  const { username, password } = req.body;
   
-  try {
-    const user = await User.findOne({ username });
+  const until = await lockedUntil(username);
 
-    if (!user) return res.sendStatus(404);
+  if (until) throw new TooManyRequestsError(until, "Too many failed login attempts. Try again later.", "ACCOUNT_LOCKED");
 
-    const passwordMatch = await bcrypt.compare(password, user.passwordHash);
-    if (!passwordMatch) return res.sendStatus(401);
+  const user = await User.findOne({ username });
 
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '24h' });
-    
-    return res.status(200).send({ token });
-  } catch (e) {
-    res.sendStatus(500);
+  const passwordMatch = await bcrypt.compare(password, user ? user.passwordHash : DUMMY_HASH);
+  if (!user || !passwordMatch) {
+    await recordFailure(username);
+    throw new UnauthorizedError("Invalid username or password.", "INVALID_CREDENTIALS");
   }
-})
+
+  await clearFailures(username);
+
+  const tokens = await createSession(user._id, deviceOf(req));
+  
+  return res.status(200).send(tokens);
+}))
 
 module.exports = loginRouter;
 
@@ -0,0 +1,85 @@
+const { Router } = require("express");
+
+const { revokeSessions } = require("./../../utils/sessions");
+const asyncHandler = require("./../../utils/asyncHandler");
+
+const logoutRouter = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Users
+ *   description: API endpoints for user
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ *
+ * /logout:
+ *   post:
+ *     summary: Log out of the current session
+ *     description: Revokes the session of the access token used for the request. Its access and refresh tokens stop working right away and sockets opened with it are disconnected.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       204:
+ *         description: Session successfully revoked.
+ *       401:
+ *         description: Unauthorized. Missing, invalid or already revoked token.
+ *       500:
+ *         description: Internal server error.
+ */
+logoutRouter.post("/", asyncHandler(async (req, res) => {
+  await revokeSessions(req.app.get("io"), { _id: req.sessionId }, "logout");
+
+  return res.sendStatus(204);
+}));
+
+
+/**
+ * @swagger
+ * tags:
+ *   name: Users
+ *   description: API endpoints for user
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ *
+ * /logout/all:
+ *   post:
+ *     summary: Log out everywhere
+ *     description: Revokes every session of the current user, including the one used for the request. All their access and refresh tokens stop working right away and all their sockets are disconnected.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions successfully revoked. Returns how many sessions were revoked.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 revoked:
+ *                   type: integer
+ *                   description: The number of sessions revoked.
+ *       401:
+ *         description: Unauthorized. Missing, invalid or already revoked token.
+ *       500:
+ *         description: Internal server error.
+ */
+logoutRouter.post("/all", asyncHandler(async (req, res) => {
+  const revoked = await revokeSessions(req.app.get("io"), { user: req.userId }, "logout-all");
+
+  return res.status(200).json({ revoked });
+}));
+
+module.exports = logoutRouter;
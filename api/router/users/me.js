@@ -1,60 +1,242 @@
 const { Router } = require("express");
+const bcrypt = require("bcryptjs");
 const { User } = require("./../../schema/user");
 const { Chat } = require("../../schema/chat");
+const { Invite } = require("../../schema/invite");
+const { FriendRequest } = require("../../schema/friendRequest");
+const { roleOf } = require("../../utils/groupRoles");
+const { toInvitePayload } = require("../../utils/invites");
+const { revokeSessions } = require("../../utils/sessions");
+const { deleteAccount } = require("../../utils/accounts");
+const validate = require("../../middleware/validate");
+const asyncHandler = require("../../utils/asyncHandler");
+const { UnauthorizedError } = require("../../errors");
+const rules = require("../../utils/rules");
 const router = Router();
 
-router.get("/", async (req, res) => {
-  try {
-    const user = await User.findById(req.userId)
-      .populate('friends')
-      .populate('friendRequests')
-      .populate({
-        path: 'groups',
-        populate: {
-          path: 'participants',
-          select: 'username _id'
-        }
+router.get("/", asyncHandler(async (req, res) => {
+  const user = await User.findById(req.userId)
+    .populate('friends')
+    .populate({
+      path: 'groups',
+      populate: {
+        path: 'participants',
+        select: 'username _id'
+      }
+  });
+  
+  const friendsWithChatIds = await Promise.all(user.friends.map(async (f) => {
+    const chat = await Chat.findOne({
+      participants: {
+        $all: [user._id, f._id]
+      },
+      $expr: { $eq: [{ $size: "$participants" }, 2] }
     });
     
-    const friendsWithChatIds = await Promise.all(user.friends.map(async (f) => {
-      const chat = await Chat.findOne({
-        participants: {
-          $all: [user._id, f._id]
-        },
-        $expr: { $eq: [{ $size: "$participants" }, 2] }
-      });
-      
-      return {
-        id: f._id,
-        username: f.username,
-        chatId: chat?._id
-      };
-    }));
-
-    const friendRequestsWithIdAndUsername = user.friendRequests.map(f => ({id: f._id, username: f.username }));
-
-    const groups = user.groups.map(g => ({ 
-      id: g._id,
-      username: g.name,
-      participants: g.participants.map(p => ({
-        id: p._id,
-        username: p.username
-      }))
-    }));
-
-    // Attach the updated friends array to the user object
-    const userWithFriends = {
-      ...user._doc,
-      id: user._id,
-      friends: friendsWithChatIds,
-      friendRequests: friendRequestsWithIdAndUsername,
-      groups
+    return {
+      id: f._id,
+      username: f.username,
+      online: f.connected,
+      lastSeenAt: f.lastSeenAt,
+      chatId: chat?._id
     };
-    delete userWithFriends.passwordHash;
-    res.json(userWithFriends);
-  } catch (err) {
-    res.status(500).json({ message: err.message });
-  }
-});
+  }));
+
+  const [incomingRequests, outgoingRequests] = await Promise.all([
+    FriendRequest.find({ to: user._id, status: "pending" }).sort({ createdAt: -1 }).populate("from", "_id username"),
+    FriendRequest.find({ from: user._id, status: "pending" }).sort({ createdAt: -1 }).populate("to", "_id username")
+  ]);
+
+  const friendRequestsWithIdAndUsername = incomingRequests.map(r => ({ id: r.from._id, username: r.from.username, requestedAt: r.createdAt }));
+
+  const groups = user.groups.map(g => ({ 
+    id: g._id,
+    username: g.name,
+    description: g.description,
+    avatar: g.avatar,
+    role: roleOf(g, user._id),
+    participants: g.participants.map(p => ({
+      id: p._id,
+      username: p.username,
+      role: roleOf(g, p._id)
+    }))
+  }));
+
+  const groupInvites = await Invite.find({ invitee: user._id, status: "pending" })
+    .sort({ createdAt: -1 })
+    .populate("group", "_id name")
+    .populate("inviter", "_id username");
+
+  // Attach the updated friends array to the user object
+  const userWithFriends = {
+    ...user._doc,
+    id: user._id,
+    friends: friendsWithChatIds,
+    friendRequests: friendRequestsWithIdAndUsername,
+    outgoingRequests: outgoingRequests.map(r => ({ id: r.to._id, username: r.to.username, requestedAt: r.createdAt })),
+    groups,
+    groupInvites: groupInvites.map(toInvitePayload)
+  };
+  delete userWithFriends.passwordHash;
+  res.json(userWithFriends);
+}));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Users
+ *   description: API endpoints for user
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ *
+ * /me/password:
+ *   put:
+ *     summary: Change the password of the current user
+ *     description: Replaces the password of the current user after checking the current one. Every other session of the user is revoked; the session making the request stays signed in.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *             example:
+ *               currentPassword: password123
+ *               newPassword: correct-horse-battery-staple
+ *     responses:
+ *       204:
+ *         description: Password successfully changed.
+ *       400:
+ *         description: Bad request. Missing current password, or the new password is too weak.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       401:
+ *         description: Unauthorized. The current password is wrong.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       500:
+ *         description: Internal server error.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ */
+router.put("/password", validate({
+  body: { currentPassword: rules.string({ max: 128 }), newPassword: rules.password() }
+}), asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  const user = await User.findById(req.userId, "passwordHash");
+
+  const passwordMatch = await bcrypt.compare(currentPassword, user.passwordHash);
+  if (!passwordMatch) throw new UnauthorizedError("The current password is wrong.", "INVALID_PASSWORD");
+
+  user.passwordHash = await bcrypt.hash(newPassword, 10);
+  await user.save();
+
+  await revokeSessions(req.app.get("io"), { user: user._id, _id: { $ne: req.sessionId } }, "password-changed");
+
+  res.sendStatus(204);
+}));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Users
+ *   description: API endpoints for user
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ *
+ * /me:
+ *   delete:
+ *     summary: Delete the account of the current user
+ *     description: Permanently deletes the current user after checking their password. All their sessions are revoked and they are removed from their friends' lists, chats and groups. Groups they owned are handed over as if they had left, and groups left empty are deleted. Messages they sent remain visible to the other participants without a sender, and their unsent uploads are deleted.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *             example:
+ *               password: password123
+ *     responses:
+ *       204:
+ *         description: Account successfully deleted.
+ *       400:
+ *         description: Bad request. Missing password.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       401:
+ *         description: Unauthorized. The password is wrong.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       500:
+ *         description: Internal server error.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ */
+router.delete("/", validate({ body: { password: rules.string({ max: 128 }) } }), asyncHandler(async (req, res) => {
+  const { password } = req.body;
+
+  const user = await User.findById(req.userId, "passwordHash");
+
+  const passwordMatch = await bcrypt.compare(password, user.passwordHash);
+  if (!passwordMatch) throw new UnauthorizedError("The password is wrong.", "INVALID_PASSWORD");
+
+  await deleteAccount(req.app.get("io"), user._id);
+
+  res.sendStatus(204);
+}));
 
 module.exports = router;
@@ -2,9 +2,24 @@ const { Router } = require("express");
 const bcrypt = require("bcryptjs");
 
 const { User } = require("./../../schema/user");
+const { clientIp } = require("./../../utils/sessions");
+const { recordEvent } = require("./../../utils/events");
+const { inTransaction } = require("./../../utils/transaction");
+const rateLimit = require("./../../middleware/rateLimit");
+const validate = require("./../../middleware/validate");
+const asyncHandler = require("./../../utils/asyncHandler");
+const { ConflictError } = require("./../../errors");
+const rules = require("./../../utils/rules");
 
 const registerRouter = Router();
 
+const ipLimit = rateLimit({
+  name: "register-ip",
+  windowMs: parseInt(process.env.REGISTER_RATE_LIMIT_WINDOW_MS, 10) || 60 * 60 * 1000,
+  max: parseInt(process.env.REGISTER_RATE_LIMIT_PER_IP, 10) || 10,
+  keyOf: clientIp
+});
+
 /**
  * @swagger
  * tags:
@@ -34,32 +49,38 @@ const registerRouter = Router();
  *       201:
  *         description: User successfully registered.
  *       400:
- *         description: Bad request. Missing username, password, or email.
+ *         description: Bad request. The username must be 3 to 32 letters, digits, '.', '_' or '-', and the password 8 to 128 characters with at least one letter and one digit. The failing fields are listed in `errors`.
  *       409:
  *         description: Conflict. Username already exists.
+ *       429:
+ *         description: Too many requests. Too many accounts registered from this IP address. The `Retry-After` header tells how many seconds to wait.
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds to wait before trying again.
  *       500:
  *         description: Internal server error.
  */
-registerRouter.post("/", async (req, res) => {
-  const { username, password } = req.body;
+const credentials = validate({ body: { username: rules.username(), password: rules.password() } });
 
-  if (!username || !password) return res.sendStatus(400);
+registerRouter.post("/", ipLimit, credentials, asyncHandler(async (req, res) => {
+  const { username, password } = req.body;
   
-  let hashedPassword;
+  if (await User.exists({ username })) throw new ConflictError("Username is already taken.", "USERNAME_TAKEN");
 
-  try { 
-    hashedPassword = await bcrypt.hash(password, 10)
-  } catch (error) {
-    return res.sendStatus(500);
-  }
+  // A registration racing this one past the check still ends as a 409
+  // through the unique index on username.
+  const hashedPassword = await bcrypt.hash(password, 10);
 
-  try {
+  await inTransaction(async () => {
     const user = new User({ username , passwordHash: hashedPassword});
     await user.save();
-    res.sendStatus(201);
-  } catch (e) {
-    res.sendStatus(409)
-  }
-})
+
+    await recordEvent("user.registered", { userId: user._id, username: user.username });
+  });
+
+  res.sendStatus(201);
+}))
 
 module.exports = registerRouter;
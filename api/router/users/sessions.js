@@ -0,0 +1,131 @@
+const { Router } = require("express");
+
+const { Session } = require("./../../schema/session");
+const { revokeSessions } = require("./../../utils/sessions");
+const validate = require("./../../middleware/validate");
+const asyncHandler = require("./../../utils/asyncHandler");
+const { NotFoundError } = require("./../../errors");
+const { objectId } = require("./../../utils/rules");
+
+const sessionsRouter = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Users
+ *   description: API endpoints for user
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ *
+ * /me/sessions:
+ *   get:
+ *     summary: Get the devices the current user is signed in on
+ *     description: Retrieves the active sessions of the current user, most recently active first. The session of the access token used for the request is flagged as `current`.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the sessions.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                     description: The ID of the session.
+ *                   userAgent:
+ *                     type: string
+ *                     description: The user agent of the device at login.
+ *                   ip:
+ *                     type: string
+ *                     description: The IP address of the device at login.
+ *                   createdAt:
+ *                     type: string
+ *                     format: date-time
+ *                     description: When the user signed in.
+ *                   lastActiveAt:
+ *                     type: string
+ *                     format: date-time
+ *                     description: When the session was last used, to the minute.
+ *                   current:
+ *                     type: boolean
+ *                     description: Whether this is the session making the request.
+ *       401:
+ *         description: Unauthorized. Missing, invalid or revoked token.
+ *       500:
+ *         description: Internal server error.
+ */
+sessionsRouter.get("/", asyncHandler(async (req, res) => {
+  const sessions = await Session.find({ user: req.userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastActiveAt: -1 });
+
+  res.status(200).json(sessions.map(s => ({
+    id: s._id,
+    userAgent: s.userAgent,
+    ip: s.ip,
+    createdAt: s.createdAt,
+    lastActiveAt: s.lastActiveAt,
+    current: s._id.equals(req.sessionId)
+  })));
+}));
+
+
+/**
+ * @swagger
+ * tags:
+ *   name: Users
+ *   description: API endpoints for user
+ *
+ * components:
+ *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ *
+ * /me/sessions/{sessionId}:
+ *   delete:
+ *     summary: Sign a device out
+ *     description: Revokes one session of the current user. Its access and refresh tokens stop working right away and sockets opened with it are disconnected. The current session may be revoked too.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the session to revoke.
+ *     responses:
+ *       204:
+ *         description: Session successfully revoked.
+ *       400:
+ *         description: Bad request. Invalid session ID.
+ *       401:
+ *         description: Unauthorized. Missing, invalid or revoked token.
+ *       404:
+ *         description: Not Found. No active session with this ID belongs to the user.
+ *       500:
+ *         description: Internal server error.
+ */
+sessionsRouter.delete("/:sessionId", validate({ params: { sessionId: objectId() } }), asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  const revoked = await revokeSessions(req.app.get("io"), { _id: sessionId, user: req.userId }, "removed");
+
+  if (revoked === 0) throw new NotFoundError("Session not found.");
+
+  return res.sendStatus(204);
+}));
+
+module.exports = sessionsRouter;
@@ -0,0 +1,68 @@
+const { Router } = require("express");
+
+const { rotateSession } = require("./../../utils/sessions");
+const validate = require("./../../middleware/validate");
+const asyncHandler = require("./../../utils/asyncHandler");
+const { UnauthorizedError } = require("./../../errors");
+const { string } = require("./../../utils/rules");
+
+const tokenRouter = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Users
+ *   description: API endpoints for user
+ *
+ * /token:
+ *   post:
+ *     summary: Refresh the access token
+ *     description: Trades a refresh token for a new access token and a new refresh token. Each refresh token can only be used once. Presenting a refresh token that was already used revokes its whole session, since it means the token leaked.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *             example:
+ *               refreshToken: 6650c0ffee0000000000beef.4f1d...
+ *     responses:
+ *       200:
+ *         description: Tokens successfully refreshed. Returns a JWT access token and a refresh token.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                   description: JWT access token for authenticated user.
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Single-use token to obtain the next tokens.
+ *                 refreshTokenExpiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                   description: When the refresh token expires.
+ *       400:
+ *         description: Bad request. Missing refresh token.
+ *       401:
+ *         description: Unauthorized. The refresh token is invalid, expired, already used or its session was revoked.
+ *       500:
+ *         description: Internal server error.
+ */
+tokenRouter.post("/", validate({ body: { refreshToken: string({ max: 256 }) } }), asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  const tokens = await rotateSession(req.app.get("io"), refreshToken);
+
+  if (!tokens) throw new UnauthorizedError("Invalid or expired refresh token.", "REFRESH_TOKEN_INVALID");
+
+  return res.status(200).send(tokens);
+}));
+
+module.exports = tokenRouter;
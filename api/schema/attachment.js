@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+const attachmentSchema = new mongoose.Schema({
+  // Cleared when the uploader deletes their account.
+  uploader: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "users"
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  checksum: {
+    type: String,
+    required: true
+  },
+  storage: {
+    type: String,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  // Set once the attachment is sent as part of a message.
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "messages"
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports.Attachment = mongoose.model("attachments", attachmentSchema);
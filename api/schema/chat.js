@@ -9,7 +9,17 @@ const chatSchema = new mongoose.Schema({
   messages: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: "messages"
-  }]
+  }],
+  lastMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "messages"
+  },
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  }
 });
 
+chatSchema.index({ participants: 1, lastActivityAt: -1, _id: -1 });
+
 module.exports.Chat = mongoose.model("chats", chatSchema);
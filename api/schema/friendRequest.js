@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+/**
+ * A request from `from` to become friends with `to`. Only one request per
+ * direction may be pending at a time; answered requests are kept as history.
+ */
+const friendRequestSchema = new mongoose.Schema({
+  from: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "users",
+    required: true
+  },
+  to: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "users",
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ["pending", "accepted", "declined", "cancelled"],
+    default: "pending"
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  respondedAt: Date
+});
+
+friendRequestSchema.index(
+  { from: 1, to: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } }
+);
+friendRequestSchema.index({ to: 1, status: 1 });
+
+module.exports.FriendRequest = mongoose.model("friendrequests", friendRequestSchema);
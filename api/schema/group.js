@@ -5,19 +5,45 @@ const groupSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  description: String,
+  avatar: String,
   participants: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: "users",
     required: true
   }],
+  // Role of each participant; participants without an entry are members.
+  roles: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users",
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ["owner", "admin", "member"],
+      default: "member"
+    }
+  }],
   messages: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: "messages"
   }],
+  lastMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "messages"
+  },
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+groupSchema.index({ participants: 1, lastActivityAt: -1, _id: -1 });
+
 module.exports.Group = mongoose.model("groups", groupSchema);
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+/**
+ * A pending way into a group: either addressed to one `invitee`, or a
+ * shareable link identified by `token` that anyone may use until it expires
+ * or runs out of uses.
+ */
+const inviteSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "groups",
+    required: true
+  },
+  inviter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "users",
+    required: true
+  },
+  invitee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "users"
+  },
+  token: String,
+  status: {
+    type: String,
+    enum: ["pending", "accepted", "declined", "revoked"],
+    default: "pending"
+  },
+  expiresAt: Date,
+  maxUses: Number,
+  uses: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+inviteSchema.index(
+  { group: 1, invitee: 1 },
+  { unique: true, partialFilterExpression: { status: "pending", invitee: { $exists: true } } }
+);
+inviteSchema.index({ token: 1 }, { unique: true, sparse: true });
+inviteSchema.index({ invitee: 1, status: 1 });
+
+module.exports.Invite = mongoose.model("invites", inviteSchema);
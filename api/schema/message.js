@@ -1,23 +1,90 @@
 const mongoose = require("mongoose");
 
 const messageSchema = new mongoose.Schema({
+  // Cleared when the sender deletes their account.
   sender: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: "users",
-    required: true
+    ref: "users"
+  },
+  // System messages record group events, such as renames, in the history.
+  kind: {
+    type: String,
+    enum: ["user", "system"],
+    default: "user"
+  },
+  systemEvent: {
+    type: {
+      type: String
+    },
+    data: mongoose.Schema.Types.Mixed
   },
   content: {
     type: String,
-    required: true
+    // Messages that only carry attachments may leave the text out.
+    required: function () {
+      return !this.attachments || this.attachments.length === 0;
+    }
   },
+  attachments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "attachments"
+  }],
   timestamp: {
     type: Date,
     default: Date.now
   },
-  isRead: {
-    type: Boolean,
-    default: false
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "messages"
   },
+  // The first message of the thread, shared by replies to replies.
+  threadRoot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "messages"
+  },
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  editedAt: Date,
+  revisions: [{
+    _id: false,
+    content: String,
+    editedAt: Date
+  }],
+  deletedAt: Date,
+  hiddenFor: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "users"
+  }],
+  reactions: [{
+    _id: false,
+    emoji: {
+      type: String,
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users",
+      required: true
+    },
+    reactedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  readBy: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users",
+      required: true
+    },
+    readAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   chat: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "chats"
@@ -28,4 +95,12 @@ const messageSchema = new mongoose.Schema({
   }
 });
 
+messageSchema.index({ chat: 1, timestamp: -1, _id: -1 });
+messageSchema.index({ group: 1, timestamp: -1, _id: -1 });
+messageSchema.index({ threadRoot: 1, timestamp: -1, _id: -1 });
+messageSchema.index({ content: "text" });
+
 module.exports.Message = mongoose.model("messages", messageSchema);
+
+// Shown in place of the content once a message is deleted for everyone.
+module.exports.DELETED_MESSAGE_CONTENT = "message deleted";
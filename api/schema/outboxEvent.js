@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+
+const PUBLISHED_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * A domain event waiting in the outbox for the relay to publish it. Events
+ * are written in the transaction of the change that caused them and
+ * published afterwards, so an unreachable broker delays events instead of
+ * losing them.
+ */
+const outboxEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  topic: {
+    type: String,
+    required: true
+  },
+  // Events sharing a key land on the same partition, in order.
+  key: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ["pending", "published", "failed"],
+    default: "pending"
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  }
+});
+
+outboxEventSchema.index({ status: 1, nextAttemptAt: 1, occurredAt: 1 });
+outboxEventSchema.index({ topic: 1, key: 1, status: 1, occurredAt: 1 });
+outboxEventSchema.index({ publishedAt: 1 }, { expireAfterSeconds: PUBLISHED_RETENTION_SECONDS });
+
+module.exports.OutboxEvent = mongoose.model("outboxevents", outboxEventSchema);
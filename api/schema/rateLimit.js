@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+/**
+ * A rate limit counter of the `mongo` rate limit store.
+ */
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true
+  }
+});
+
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports.RateLimit = mongoose.model("ratelimits", rateLimitSchema);
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+/**
+ * One signed-in device. Access tokens name their session, so revoking it
+ * cuts them off before they expire. Only hashes of refresh tokens are
+ * stored; `previousTokenHashes` keeps the latest ones already rotated away
+ * so that replaying one can be told apart from a mistyped token.
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "users",
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  previousTokenHashes: [String],
+  userAgent: String,
+  ip: String,
+  lastActiveAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ["logout", "logout-all", "reuse-detected", "removed", "password-changed", "account-deleted"]
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+module.exports.Session = mongoose.model("sessions", sessionSchema);
@@ -10,11 +10,12 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  lastSeenAt: Date,
   friends: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: "users"
   }],
-  friendRequests: [{
+  blocked: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: "users"
   }],
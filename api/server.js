@@ -1,53 +1,80 @@
 require("dotenv").config()
 const http = require("http");
 const express = require("express");
-const socket = require("socket.io");
 const cors = require("cors")
 const mongoose = require("mongoose");
 
 const registerUserRouter = require("./router/users/register");
 const { specs, swaggerUi } = require("./../swagger");
 const loginRouter = require("./router/users/login");
+const tokenRouter = require("./router/users/token");
+const logoutRouter = require("./router/users/logout");
 const friendsRouter = require("./router/users/friends");
+const blocksRouter = require("./router/users/blocks");
 const jwtHandler = require("./middleware/jwtHandler");
+const errorHandler = require("./middleware/errorHandler");
+const { getEventTransport } = require("./events");
+const { startOutboxRelay } = require("./events/relay");
+const { NotFoundError } = require("./errors");
+const { createEmitter } = require("./socket/emitter");
+const { createRealtimeServer } = require("./socket");
+const presenceSocketHandler = require("./socket/presence");
 const getUserRouter = require("./router/users/me");
+const sessionsRouter = require("./router/users/sessions");
 const groupHandler = require("./router/groups/index");
+const groupInviteHandler = require("./router/groups/invites");
 const messageHandler = require("./router/messages/index");
 const chatHandler = require("./router/chats/index");
+const attachmentHandler = require("./router/attachments/index");
 
 const PORT = process.env.API_SERVICE_PORT;
 
 const app = express();
+
+// Number of proxies in front of the API (nginx in docker-compose). Their
+// `X-Forwarded-For` entries are the only ones trusted for the client address.
+app.set("trust proxy", Number(process.env.TRUST_PROXY_HOPS) || 0);
 const server = http.createServer(app);
-const io = new socket.Server(server, { cors: { origin: "*" } });
+const transport = getEventTransport();
 
-app.set("io", io);
+// Sockets live in the real-time service; routes reach them through the broker.
+app.set("io", createEmitter(transport));
 
-io.on("connection", (socket) => {
-  socket.on("joinChat", (chatId) => {
-    socket.join(chatId);
-  });
+// The in-memory broker does not leave this process, so without a real one
+// the API serves the sockets itself.
+const realtime = transport.name === "memory" ? createRealtimeServer(server, transport) : null;
 
-  socket.on("leaveChat", (chatId) => {
-    socket.leave(chatId);
-  });
-});
+if (realtime) {
+  realtime.catch((err) => console.log("[REALTIME] Starting failed!\n", err));
+}
 
 app.use(express.json());
 app.use(cors());
 app.use("/api/docs", swaggerUi.serve, swaggerUi.setup(specs));
 app.use("/api/users/register", registerUserRouter);
 app.use("/api/users/login", loginRouter);
+app.use("/api/users/token", tokenRouter);
+app.use("/api/users/logout", jwtHandler, logoutRouter);
+app.use("/api/users/me/sessions", jwtHandler, sessionsRouter);
 app.use("/api/users/me", jwtHandler, getUserRouter);
 app.use("/api/users/friends", jwtHandler, friendsRouter);
+app.use("/api/users/blocks", jwtHandler, blocksRouter);
 
+app.use("/api/groups/invites", jwtHandler, groupInviteHandler);
 app.use("/api/groups", jwtHandler, groupHandler);
 app.use("/api/messages", jwtHandler, messageHandler);
 app.use("/api/chats", jwtHandler, chatHandler);
+app.use("/api/attachments", jwtHandler, attachmentHandler);
+
+app.use((req, res, next) => next(new NotFoundError("Route not found.")));
+app.use(errorHandler);
 
 server.listen(PORT, () => console.log(`[API_SERVICE] Listening on port: ${PORT}`));
 
 mongoose.connect(process.env.DB_URI)
   .then(() => console.log("[DATABASE] Connected"))
+  .then(() => realtime)
+  .then((io) => io && presenceSocketHandler.resetPresence(io))
+  .then(() => startOutboxRelay())
   .catch((err) => console.log("[DATABASE] Connection failed!\n", err));
 
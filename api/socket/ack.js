@@ -0,0 +1,8 @@
+/**
+ * Answers a client acknowledgement callback, if the client passed one.
+ */
+const reply = (ack, payload) => {
+  if (typeof ack === "function") ack(payload);
+}
+
+module.exports = { reply };
@@ -0,0 +1,22 @@
+const { findConversationFor } = require("./../utils/conversation");
+const { reply } = require("./ack");
+
+module.exports = (io, socket) => {
+  socket.on("joinChat", async (chatId, ack) => {
+    try {
+      const found = await findConversationFor(chatId, socket.userId);
+
+      if (!found) return reply(ack, { ok: false, error: "Not authorized." });
+
+      socket.join(String(found.conversation._id));
+      reply(ack, { ok: true, chatId: found.conversation._id });
+    } catch (err) {
+      reply(ack, { ok: false, error: err.message });
+    }
+  });
+
+  socket.on("leaveChat", (chatId, ack) => {
+    socket.leave(String(chatId));
+    reply(ack, { ok: true, chatId });
+  });
+}
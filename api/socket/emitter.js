@@ -0,0 +1,58 @@
+const { topicName } = require("./../events/catalog");
+const { afterCommit } = require("./../utils/transaction");
+
+// Topic carrying socket deliveries from the API to the real-time service.
+const REALTIME_TOPIC = topicName("realtime");
+
+const toRooms = (rooms) => [].concat(rooms).map(String);
+
+/**
+ * Stands in for the Socket.IO server on the API side, which holds no sockets.
+ * It offers the part of the server API routes use (`to`, `in`, `except`,
+ * `emit`, `socketsJoin`, `socketsLeave`, `disconnectSockets` and
+ * `serverSideEmit`) and publishes each call as a delivery that the real-time
+ * service replays on its own sockets.
+ *
+ * Deliveries skip the outbox: one lost while the broker is down costs a live
+ * update that clients recover on their next fetch, and publishing never fails
+ * the request that triggered it. Calls made inside a transaction are only
+ * published once it commits, so clients never hear of changes rolled back.
+ */
+const createEmitter = (transport) => {
+  const publish = (delivery) => {
+    const message = {
+      key: delivery.rooms?.join(",") || "*",
+      value: JSON.stringify(delivery)
+    };
+
+    afterCommit(() => transport.publish(REALTIME_TOPIC, [message])
+      .catch((err) => console.log(`[REALTIME] Publishing ${delivery.op} failed!\n`, err)));
+  }
+
+  const operator = (rooms = [], except = []) => ({
+    to: (more) => operator([...rooms, ...toRooms(more)], except),
+    in: (more) => operator([...rooms, ...toRooms(more)], except),
+    except: (more) => operator(rooms, [...except, ...toRooms(more)]),
+
+    emit: (event, ...args) => {
+      publish({ op: "emit", rooms, except, event, args });
+      return true;
+    },
+
+    socketsJoin: (joined) => publish({ op: "join", rooms, except, target: toRooms(joined) }),
+    socketsLeave: (left) => publish({ op: "leave", rooms, except, target: toRooms(left) }),
+    disconnectSockets: (close = false) => publish({ op: "disconnect", rooms, except, close })
+  });
+
+  return {
+    ...operator(),
+
+    // Runs a handler the real-time service registered under `event`.
+    serverSideEmit: (event, ...args) => {
+      publish({ op: "serverSideEmit", event, args });
+      return true;
+    }
+  };
+}
+
+module.exports = { REALTIME_TOPIC, createEmitter };
@@ -0,0 +1,129 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const socket = require("socket.io");
+
+const socketAuth = require("./../middleware/socketAuth");
+const sessionSocketHandler = require("./sessions");
+const presenceSocketHandler = require("./presence");
+const chatSocketHandler = require("./chats");
+const typingSocketHandler = require("./typing");
+const { REALTIME_TOPIC } = require("./emitter");
+const { createMongoAdapter } = require("./mongoAdapter");
+
+// Other instances answer a new one's first heartbeat right away; this leaves
+// them time to, so that cluster-wide lookups count their sockets too.
+const CLUSTER_DISCOVERY_MS = 2000;
+
+// Engine.IO's error code for a request carrying a session it does not know.
+const UNKNOWN_SESSION = 1;
+
+// Handlers the API reaches through `serverSideEmit`.
+const serverSideHandlers = {
+  "typing:stop": typingSocketHandler.stopTyping
+};
+
+// How each delivery published by the API's emitter is replayed.
+const operations = {
+  emit: (target, { event, args }) => target.emit(event, ...args),
+  join: (target, { target: rooms }) => target.socketsJoin(rooms),
+  leave: (target, { target: rooms }) => target.socketsLeave(rooms),
+  disconnect: (target, { close }) => target.disconnectSockets(close)
+};
+
+/**
+ * Adapters spreading broadcasts over every instance. `SOCKET_ADAPTER` picks
+ * one; without it each instance only reaches its own sockets.
+ */
+const adapters = {
+  memory: () => null,
+  mongo: () => createMongoAdapter(mongoose.connection)
+};
+
+const applyDelivery = (io, delivery, clustered) => {
+  if (delivery.op === "serverSideEmit") {
+    const handler = serverSideHandlers[delivery.event];
+    if (!handler) return;
+
+    // Server-side state such as typists lives on whichever instance the
+    // socket is connected to.
+    if (clustered) io.serverSideEmit(delivery.event, ...delivery.args);
+    return handler(io, ...delivery.args);
+  }
+
+  const operation = operations[delivery.op];
+
+  if (!operation) {
+    return console.log(`[REALTIME] Unknown delivery: ${delivery.op}`);
+  }
+
+  operation(io.to(delivery.rooms).except(delivery.except), delivery);
+}
+
+/**
+ * Serves Socket.IO on `server`: authenticates sockets, lets them join the
+ * rooms they are allowed in, and replays on them the deliveries the API
+ * publishes to `transport`. Rooms are only ever joined after an access
+ * check, so a delivery addressed to a room reaches authorized sockets only.
+ *
+ * Behind a load balancer, the requests of one long-polling session must all
+ * reach the instance that did its handshake. `SOCKET_TRANSPORTS=websocket`
+ * drops long-polling for deployments that cannot pin clients.
+ */
+const createRealtimeServer = async (server, transport) => {
+  const adapterName = process.env.SOCKET_ADAPTER || "memory";
+
+  if (!adapters[adapterName]) throw new Error(`Unknown socket adapter: ${adapterName}`);
+
+  const adapter = adapters[adapterName]();
+  const clustered = adapter !== null;
+
+  const io = new socket.Server(server, {
+    cors: { origin: "*" },
+    transports: (process.env.SOCKET_TRANSPORTS || "polling,websocket").split(",").map(t => t.trim()),
+    ...(clustered && { adapter })
+  });
+
+  io.engine.on("connection_error", (err) => {
+    if (err.code === UNKNOWN_SESSION && err.req?._query?.sid) {
+      console.log(`[REALTIME] Request for unknown session ${err.req._query.sid}: is the load balancer sticky?`);
+    }
+  });
+
+  io.use(socketAuth);
+
+  io.on("connection", (socket) => {
+    sessionSocketHandler(io, socket);
+    presenceSocketHandler(io, socket);
+    chatSocketHandler(io, socket);
+    typingSocketHandler(io, socket);
+  });
+
+  if (clustered) {
+    typingSocketHandler.shareTypists(io);
+
+    Object.entries(serverSideHandlers).forEach(([event, handler]) => {
+      io.of("/").on(event, (...args) => handler(io, ...args));
+    });
+
+    await adapter.ready();
+    await new Promise((resolve) => setTimeout(resolve, CLUSTER_DISCOVERY_MS));
+  }
+
+  // Alone, every instance replays every delivery on its own sockets and so
+  // consumes in a group of its own. Clustered, the adapter already reaches
+  // every instance, so they share one group and each delivery is replayed
+  // once.
+  const groupId = clustered ? "real-time-service" : `real-time-service-${crypto.randomUUID()}`;
+
+  await transport.subscribe(REALTIME_TOPIC, async (topic, message) => {
+    try {
+      applyDelivery(io, JSON.parse(message.value.toString()), clustered);
+    } catch (err) {
+      console.log("[REALTIME] Delivery failed!\n", err);
+    }
+  }, { groupId });
+
+  return io;
+}
+
+module.exports = { createRealtimeServer };
@@ -0,0 +1,134 @@
+const { Timestamp } = require("mongoose").mongo;
+const { ClusterAdapterWithHeartbeat } = require("socket.io-adapter");
+
+const RETRY_DELAY_MS = 1000;
+
+// Replaced by the server with its current time on insert, which gives every
+// message a position that is monotonic across all instances.
+const serverTimestamp = () => new Timestamp({ t: 0, i: 0 });
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Socket.IO adapter that relays broadcasts, room changes and server-side
+ * emits between instances through a capped MongoDB collection. Every
+ * instance writes its messages to the collection and follows it with a
+ * tailable cursor, which unlike a change stream also works on a standalone
+ * server. The collection's size caps how far behind an instance may fall.
+ *
+ * Returns the adapter class to pass to `io.adapter()`.
+ */
+const createMongoAdapter = (connection, {
+  collectionName = "socket.io-adapter-events",
+  sizeBytes = 10 * 1024 * 1024,
+  ...opts
+} = {}) => {
+  // namespace name -> adapter of this instance for it.
+  const adapters = new Map();
+
+  let cursor = null;
+  let closed = false;
+
+  const dispatch = (doc) => {
+    const adapter = adapters.get(doc.nsp);
+    if (!adapter) return;
+
+    // Responses are addressed to the instance that asked.
+    if (doc.requesterUid) {
+      if (doc.requesterUid === adapter.uid) adapter.onResponse(doc);
+      return;
+    }
+
+    adapter.onMessage(doc, String(doc._id));
+  }
+
+  // Resolves to the position the tail should start after: the newest
+  // message, or a marker written into an empty collection, since a tailable
+  // cursor over an empty collection dies right away.
+  const latest = async (collection) => {
+    const newest = await collection.find({}).sort({ $natural: -1 }).limit(1).next();
+    if (newest) return newest.ts;
+
+    await collection.insertOne({ ts: serverTimestamp() });
+    return latest(collection);
+  }
+
+  const tail = async (collection) => {
+    let position = await latest(collection);
+
+    while (!closed) {
+      cursor = collection.find(
+        { ts: { $gt: position } },
+        { tailable: true, awaitData: true, promoteBuffers: true }
+      );
+
+      try {
+        for await (const doc of cursor) {
+          position = doc.ts;
+          dispatch(doc);
+        }
+      } catch (err) {
+        if (!closed) console.log("[REALTIME] Adapter cursor failed!\n", err);
+      }
+
+      if (!closed) await delay(RETRY_DELAY_MS);
+    }
+  }
+
+  const ready = (async () => {
+    await connection.asPromise();
+
+    try {
+      await connection.db.createCollection(collectionName, { capped: true, size: sizeBytes });
+    } catch (err) {
+      if (err.codeName !== "NamespaceExists") throw err;
+    }
+
+    const collection = connection.db.collection(collectionName);
+
+    tail(collection).catch((err) => console.log("[REALTIME] Adapter stopped!\n", err));
+
+    return collection;
+  })();
+
+  const insert = async (doc) => {
+    const collection = await ready;
+    const { insertedId } = await collection.insertOne({ ts: serverTimestamp(), ...doc });
+    return String(insertedId);
+  }
+
+  return class MongoAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp) {
+      super(nsp, opts);
+      adapters.set(nsp.name, this);
+
+      // Socket.IO does not call it: announces this instance to the others.
+      this.init();
+    }
+
+    // Resolves once messages can be written and followed.
+    static ready() {
+      return ready;
+    }
+
+    doPublish(message) {
+      return insert(message);
+    }
+
+    async doPublishResponse(requesterUid, response) {
+      await insert({ requesterUid, ...response });
+    }
+
+    close() {
+      super.close();
+      adapters.delete(this.nsp.name);
+
+      if (adapters.size === 0) {
+        closed = true;
+        if (cursor) cursor.close().catch(() => {});
+      }
+    }
+  };
+}
+
+module.exports = { createMongoAdapter };
@@ -0,0 +1,88 @@
+const { User } = require("./../schema/user");
+const { userRoom } = require("./rooms");
+
+// userId -> Set of socket ids connected to this instance for that user.
+const liveSockets = new Map();
+
+// userId -> tail of that user's pending presence writes, so a quick
+// connect/disconnect pair is persisted in the order it happened.
+const pendingWrites = new Map();
+
+const broadcastPresence = async (io, userId, online, lastSeenAt) => {
+  // The user may still be connected to another instance.
+  if (!online && (await io.in(userRoom(userId)).fetchSockets()).length > 0) return;
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { connected: online, lastSeenAt },
+    { new: true, projection: "friends" }
+  );
+
+  if (!user || user.friends.length === 0) return;
+
+  io.to(user.friends.map(userRoom)).emit("presence:update", {
+    userId,
+    online,
+    lastSeenAt
+  });
+}
+
+const queuePresence = (io, userId, online) => {
+  const previous = pendingWrites.get(userId) || Promise.resolve();
+
+  const next = previous
+    .then(() => broadcastPresence(io, userId, online, new Date()))
+    .catch((err) => console.log("[PRESENCE] Update failed!\n", err))
+    .finally(() => {
+      if (pendingWrites.get(userId) === next) pendingWrites.delete(userId);
+    });
+
+  pendingWrites.set(userId, next);
+}
+
+/**
+ * Clears `connected` flags left behind by a previous run of the server, since
+ * the sockets they belonged to are gone. Users connected to this or any other
+ * instance are left alone.
+ */
+const resetPresence = async (io) => {
+  const sockets = await io.fetchSockets();
+  const prefix = userRoom("");
+
+  const online = sockets.flatMap(s => [...s.rooms])
+    .filter(room => room.startsWith(prefix))
+    .map(room => room.slice(prefix.length));
+
+  return User.updateMany(
+    { connected: true, _id: { $nin: online } },
+    { connected: false }
+  );
+}
+
+module.exports = (io, socket) => {
+  const userId = String(socket.userId);
+
+  socket.join(userRoom(userId));
+
+  let sockets = liveSockets.get(userId);
+  if (!sockets) {
+    sockets = new Set();
+    liveSockets.set(userId, sockets);
+  }
+  sockets.add(socket.id);
+
+  if (sockets.size === 1) queuePresence(io, userId, true);
+
+  socket.on("disconnect", () => {
+    const remaining = liveSockets.get(userId);
+    if (!remaining) return;
+
+    remaining.delete(socket.id);
+    if (remaining.size > 0) return;
+
+    liveSockets.delete(userId);
+    queuePresence(io, userId, false);
+  });
+}
+
+module.exports.resetPresence = resetPresence;
@@ -0,0 +1,13 @@
+/**
+ * Every authenticated socket joins its owner's personal room so that events
+ * addressed to a user reach all of their tabs and devices at once.
+ */
+const userRoom = (userId) => `user:${userId}`;
+
+/**
+ * Sockets also join a room for the session their token belongs to, so that
+ * revoking the session can disconnect them.
+ */
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+module.exports = { userRoom, sessionRoom };
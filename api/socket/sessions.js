@@ -0,0 +1,16 @@
+const { sessionRoom } = require("./rooms");
+
+/**
+ * Disconnects every socket opened with an access token of one of the given
+ * sessions.
+ */
+const disconnectSessions = (io, sessionIds) => {
+  if (sessionIds.length === 0) return;
+  io.in(sessionIds.map(sessionRoom)).disconnectSockets(true);
+}
+
+module.exports = (io, socket) => {
+  socket.join(sessionRoom(socket.sessionId));
+}
+
+module.exports.disconnectSessions = disconnectSessions;
@@ -0,0 +1,155 @@
+const { findConversationFor } = require("./../utils/conversation");
+const { reply } = require("./ack");
+const { userRoom } = require("./rooms");
+
+// How long a typist stays listed without sending another `typing:start`.
+const TYPING_TIMEOUT_MS = 5000;
+
+// conversationId -> { type, typists: Map<userId, { timeout, local }> }
+// Clustered, the typists of other instances are listed too (`local` false),
+// so that every list sent is complete. Only the instance a typist types on
+// announces their changes.
+const conversations = new Map();
+
+// Whether typists are shared with the other instances of a cluster.
+let sharing = false;
+
+const emitTypists = (io, conversationId, type, exceptUserId) => {
+  const entry = conversations.get(conversationId);
+  const typists = entry ? [...entry.typists.keys()] : [];
+
+  io.to(conversationId).except(userRoom(exceptUserId)).emit("typing:update", {
+    conversationId,
+    type,
+    typists
+  });
+}
+
+const shareTypist = (io, op, conversationId, type, userId) => {
+  if (sharing) io.serverSideEmit("typing:share", op, conversationId, type, userId);
+}
+
+/**
+ * Lists `userId` as typing in `conversationId` until the timeout, and tells
+ * whether they were not listed yet. Typists of other instances expire
+ * silently, in case their instance went away without telling.
+ */
+const setTypist = (io, conversationId, type, userId, local) => {
+  let entry = conversations.get(conversationId);
+  if (!entry) {
+    entry = { type, typists: new Map() };
+    conversations.set(conversationId, entry);
+  }
+
+  const previous = entry.typists.get(userId);
+  clearTimeout(previous?.timeout);
+
+  const timeout = setTimeout(() => local
+    ? stopTyping(io, conversationId, userId)
+    : removeTypist(conversationId, userId), TYPING_TIMEOUT_MS);
+  entry.typists.set(userId, { timeout, local });
+
+  return !previous;
+}
+
+const removeTypist = (conversationId, userId) => {
+  const entry = conversations.get(conversationId);
+  const typist = entry?.typists.get(userId);
+  if (!typist) return;
+
+  clearTimeout(typist.timeout);
+  entry.typists.delete(userId);
+
+  if (entry.typists.size === 0) conversations.delete(conversationId);
+}
+
+/**
+ * Removes `userId` from the typists of `conversationId` and tells the room.
+ * Safe to call for users who are not typing, and on every instance: only
+ * the one the user types on acts.
+ */
+const stopTyping = (io, conversationId, userId) => {
+  conversationId = String(conversationId);
+  userId = String(userId);
+
+  const entry = conversations.get(conversationId);
+  if (!entry?.typists.get(userId)?.local) return;
+
+  removeTypist(conversationId, userId);
+
+  emitTypists(io, conversationId, entry.type, userId);
+  shareTypist(io, "stop", conversationId, entry.type, userId);
+}
+
+const startTyping = (io, conversationId, type, userId) => {
+  const started = setTypist(io, conversationId, type, userId, true);
+
+  shareTypist(io, "start", conversationId, type, userId);
+
+  if (started) emitTypists(io, conversationId, type, userId);
+}
+
+/**
+ * Lists the typists of the other instances of a cluster on this one, so
+ * that the `typing:update` lists they send agree. Needs an adapter that
+ * supports `serverSideEmit`.
+ */
+const shareTypists = (io) => {
+  sharing = true;
+
+  io.of("/").on("typing:share", (op, conversationId, type, userId) => {
+    if (op === "start") {
+      setTypist(io, conversationId, type, userId, false);
+    } else if (!conversations.get(conversationId)?.typists.get(userId)?.local) {
+      removeTypist(conversationId, userId);
+    }
+  });
+}
+
+const isTyping = (conversationId, userId) =>
+  conversations.get(conversationId)?.typists.has(userId) || false;
+
+module.exports = (io, socket) => {
+  const userId = String(socket.userId);
+
+  // Conversations this socket started typing in, cleared on disconnect.
+  const startedHere = new Set();
+
+  socket.on("typing:start", async (conversationId, ack) => {
+    conversationId = String(conversationId);
+
+    try {
+      // Refreshing an ongoing indicator was authorized when it started.
+      if (isTyping(conversationId, userId)) {
+        startTyping(io, conversationId, conversations.get(conversationId).type, userId);
+        startedHere.add(conversationId);
+        return reply(ack, { ok: true, conversationId });
+      }
+
+      const found = await findConversationFor(conversationId, userId);
+
+      if (!found) return reply(ack, { ok: false, error: "Not authorized." });
+
+      startTyping(io, conversationId, found.type, userId);
+      startedHere.add(conversationId);
+      reply(ack, { ok: true, conversationId });
+    } catch (err) {
+      reply(ack, { ok: false, error: err.message });
+    }
+  });
+
+  socket.on("typing:stop", (conversationId, ack) => {
+    conversationId = String(conversationId);
+
+    stopTyping(io, conversationId, userId);
+    startedHere.delete(conversationId);
+    reply(ack, { ok: true, conversationId });
+  });
+
+  socket.on("disconnect", () => {
+    startedHere.forEach((conversationId) => stopTyping(io, conversationId, userId));
+  });
+}
+
+module.exports.stopTyping = stopTyping;
+module.exports.shareTypists = shareTypists;
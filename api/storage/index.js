@@ -0,0 +1,25 @@
+const createLocalStorage = require("./local");
+
+/**
+ * Attachment storage backends. Each one exposes `save(key, buffer)`,
+ * `createReadStream(key)` and `remove(key)`; `STORAGE_DRIVER` picks which
+ * one the API uses.
+ */
+const drivers = {
+  local: () => createLocalStorage(process.env.UPLOAD_DIR || "./uploads")
+};
+
+let storage;
+
+const getStorage = () => {
+  if (storage) return storage;
+
+  const driver = process.env.STORAGE_DRIVER || "local";
+
+  if (!drivers[driver]) throw new Error(`Unknown storage driver: ${driver}`);
+
+  storage = drivers[driver]();
+  return storage;
+}
+
+module.exports = { getStorage };
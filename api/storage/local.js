@@ -0,0 +1,33 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Stores attachment contents as plain files under `rootDir`.
+ */
+module.exports = (rootDir) => {
+  const resolve = (key) => {
+    const filePath = path.resolve(rootDir, key);
+
+    if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  return {
+    name: "local",
+
+    save: async (key, buffer) => {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    createReadStream: (key) => fs.createReadStream(resolve(key)),
+
+    remove: async (key) => {
+      await fs.promises.rm(resolve(key), { force: true });
+    }
+  };
+}
@@ -0,0 +1,61 @@
+const { User } = require("./../schema/user");
+const { Chat } = require("./../schema/chat");
+const { Group } = require("./../schema/group");
+const { Message } = require("./../schema/message");
+const { Attachment } = require("./../schema/attachment");
+const { Invite } = require("./../schema/invite");
+const { FriendRequest } = require("./../schema/friendRequest");
+const { Session } = require("./../schema/session");
+const { removeAttachments } = require("./attachments");
+const { leaveGroup } = require("./groupMembership");
+const { revokeSessions } = require("./sessions");
+const { recordEvent } = require("./events");
+const { inTransaction } = require("./transaction");
+
+/**
+ * Deletes the account of `userId` and every trace that would otherwise
+ * point at it. The user leaves their groups as if they had left themselves,
+ * so ownership is handed over and empty groups are deleted. Messages they
+ * sent stay in the history of the other participants, without a sender.
+ * It all happens in one transaction: either the account is gone, or nothing
+ * changed.
+ */
+const deleteAccount = (io, userId) => inTransaction(async () => {
+  const groups = await Group.find({ participants: userId });
+
+  for (const group of groups) {
+    await leaveGroup(io, group, userId);
+  }
+
+  await Invite.deleteMany({ invitee: userId });
+  await Invite.updateMany({ inviter: userId, status: "pending" }, { status: "revoked" });
+
+  await Chat.updateMany({ participants: userId }, { $pull: { participants: userId } });
+
+  await Message.updateMany({ sender: userId }, { $set: { sender: null } });
+  await Message.updateMany(
+    { $or: [{ "reactions.user": userId }, { "readBy.user": userId }, { hiddenFor: userId }] },
+    { $pull: { reactions: { user: userId }, readBy: { user: userId }, hiddenFor: userId } }
+  );
+
+  const unsent = await Attachment.find({ uploader: userId, message: null }, "_id");
+  await removeAttachments(unsent.map(a => a._id));
+  await Attachment.updateMany({ uploader: userId }, { $set: { uploader: null } });
+
+  await FriendRequest.deleteMany({ $or: [{ from: userId }, { to: userId }] });
+  await User.updateMany(
+    { $or: [{ friends: userId }, { blocked: userId }] },
+    { $pull: { friends: userId, blocked: userId } }
+  );
+
+  await User.deleteOne({ _id: userId });
+
+  await recordEvent("user.deleted", { userId });
+
+  // Last, so that a failure anywhere above leaves the user signed in to an
+  // account still whole, rather than locked out of a half-deleted one.
+  await revokeSessions(io, { user: userId }, "account-deleted");
+  await Session.deleteMany({ user: userId });
+});
+
+module.exports = { deleteAccount };
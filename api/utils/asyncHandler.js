@@ -0,0 +1,9 @@
+/**
+ * Lets an async route handler throw: rejections are passed to `next` and
+ * end up in `errorHandler`.
+ */
+const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+module.exports = asyncHandler;
@@ -0,0 +1,17 @@
+const { Attachment } = require("./../schema/attachment");
+const { getStorage } = require("./../storage");
+const { afterCommit } = require("./transaction");
+
+/**
+ * Deletes the records and the stored contents of the given attachments.
+ * Inside a transaction, the contents go only once it has committed.
+ */
+const removeAttachments = async (attachmentIds) => {
+  const attachments = await Attachment.find({ _id: { $in: attachmentIds } }, "_id storageKey");
+
+  await Attachment.deleteMany({ _id: { $in: attachments.map(a => a._id) } });
+
+  await afterCommit(() => Promise.all(attachments.map(a => getStorage().remove(a.storageKey))));
+}
+
+module.exports = { removeAttachments };
@@ -0,0 +1,20 @@
+const { User } = require("./../schema/user");
+
+/**
+ * Tells whether any of `otherIds` and `userId` blocked each other.
+ */
+const isBlockedWithAny = async (userId, otherIds) => {
+  const [blockedByMe, blockedMe] = await Promise.all([
+    User.exists({ _id: userId, blocked: { $in: otherIds } }),
+    User.exists({ _id: { $in: otherIds }, blocked: userId })
+  ]);
+
+  return !!(blockedByMe || blockedMe);
+}
+
+/**
+ * Query clause that hides users who blocked `userId` from lookups.
+ */
+const notBlocking = (userId) => ({ blocked: { $ne: userId } });
+
+module.exports = { isBlockedWithAny, notBlocking };
@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+const { Chat } = require("./../schema/chat");
+const { Group } = require("./../schema/group");
+const { Message } = require("./../schema/message");
+
+/**
+ * Looks up a chat or group by id and returns it only if `userId` is one of
+ * its participants. Resolves to `null` for unknown ids and non-members.
+ */
+const findConversationFor = async (conversationId, userId) => {
+  if (!mongoose.isValidObjectId(conversationId)) return null;
+
+  const query = { _id: conversationId, participants: userId };
+
+  const chat = await Chat.findOne(query, "_id participants");
+  if (chat) return { type: "chat", conversation: chat };
+
+  const group = await Group.findOne(query, "_id participants");
+  if (group) return { type: "group", conversation: group };
+
+  return null;
+}
+
+/**
+ * Loads a message together with its conversation, as seen by `userId`.
+ * `message` is `null` when the message does not exist and `conversation` is
+ * `null` when the user is not a participant of its chat or group.
+ */
+const findMessageFor = async (messageId, userId) => {
+  const message = mongoose.isValidObjectId(messageId) ? await Message.findById(messageId) : null;
+  if (!message) return { message: null, conversation: null };
+
+  const found = await findConversationFor(message.chat || message.group, userId);
+
+  return { message, conversation: found?.conversation || null, type: found?.type };
+}
+
+module.exports = { findConversationFor, findMessageFor };
@@ -0,0 +1,30 @@
+const { OutboxEvent } = require("./../schema/outboxEvent");
+const { EVENTS, topicName } = require("./../events/catalog");
+const { wakeRelay } = require("./../events/relay");
+const { afterCommit, isInTransaction } = require("./transaction");
+
+/**
+ * Writes a `type` event carrying `data` to the outbox, from where the relay
+ * publishes it. It must run inside `inTransaction` together with the change
+ * it describes, so that the event is stored if and only if the change is.
+ */
+const recordEvent = async (type, data) => {
+  const definition = EVENTS[type];
+
+  if (!definition) throw new Error(`Unknown event type: ${type}`);
+  if (!isInTransaction()) throw new Error(`Event ${type} recorded outside a transaction`);
+
+  const [event] = await OutboxEvent.create([{
+    type,
+    version: definition.version,
+    topic: topicName(definition.topic),
+    key: String(definition.key(data)),
+    data
+  }]);
+
+  afterCommit(wakeRelay);
+
+  return event;
+}
+
+module.exports = { recordEvent };
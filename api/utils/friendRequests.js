@@ -0,0 +1,71 @@
+const { FriendRequest } = require("./../schema/friendRequest");
+const { userRoom } = require("./../socket/rooms");
+const { recordEvent } = require("./events");
+const { inTransaction } = require("./transaction");
+
+const REQUEST_POPULATE = [
+  { path: "from", select: "_id username" },
+  { path: "to", select: "_id username" }
+];
+
+/**
+ * Shape of a friend request in socket events. Expects `from` and `to` to be
+ * populated.
+ */
+const toFriendRequestPayload = (request) => ({
+  id: request._id,
+  from: { id: request.from._id, username: request.from.username },
+  to: { id: request.to._id, username: request.to.username },
+  status: request.status,
+  createdAt: request.createdAt,
+  respondedAt: request.respondedAt
+});
+
+/**
+ * Query clause matching the pending request sent by `fromId` to `toId`.
+ */
+const pendingRequest = (fromId, toId) => ({ from: fromId, to: toId, status: "pending" });
+
+const ANSWER_EVENTS = {
+  accepted: "friend.accepted",
+  declined: "friend.declined",
+  cancelled: "friend.request_cancelled"
+};
+
+/**
+ * Moves a pending request to `status`, emits `friendRequest:<status>` to
+ * `recipientId` and records the matching `friend.*` event. Resolves to
+ * `null` when the request was answered meanwhile.
+ */
+const answerRequest = (io, fromId, toId, status, recipientId) => inTransaction(async () => {
+  const request = await FriendRequest.findOneAndUpdate(
+    pendingRequest(fromId, toId),
+    { status, respondedAt: new Date() },
+    { new: true }
+  ).populate(REQUEST_POPULATE);
+
+  if (request) {
+    await recordEvent(ANSWER_EVENTS[status], { requestId: request._id, fromId: request.from._id, toId: request.to._id });
+
+    io.to(userRoom(recipientId)).emit(`friendRequest:${status}`, toFriendRequestPayload(request));
+  }
+
+  return request;
+});
+
+/**
+ * Cancels every pending request between the two users, in both directions,
+ * without notifying either of them.
+ */
+const cancelRequestsBetween = (userId, otherId) => FriendRequest.updateMany(
+  { status: "pending", $or: [{ from: userId, to: otherId }, { from: otherId, to: userId }] },
+  { status: "cancelled", respondedAt: new Date() }
+);
+
+module.exports = {
+  REQUEST_POPULATE,
+  toFriendRequestPayload,
+  pendingRequest,
+  answerRequest,
+  cancelRequestsBetween
+};
@@ -0,0 +1,116 @@
+const { Group } = require("./../schema/group");
+const { Invite } = require("./../schema/invite");
+const { Message } = require("./../schema/message");
+const { User } = require("./../schema/user");
+const { removeAttachments } = require("./attachments");
+const { roleOf, setRole, removeRole, broadcastRoles } = require("./groupRoles");
+const { postSystemMessage } = require("./systemMessages");
+const { userRoom } = require("./../socket/rooms");
+const { recordEvent } = require("./events");
+const { inTransaction } = require("./transaction");
+
+/**
+ * Adds `userId` to `group` as a member, links the group from the user's
+ * record and tells the group room. `by` is whoever let the user in.
+ */
+const addParticipant = async (io, group, userId, by) => {
+  // Changed ahead of the transaction, which runs again on a write conflict,
+  // and idempotently for callers that already are in one.
+  group.participants.addToSet(userId);
+  setRole(group, userId, "member");
+
+  await inTransaction(async () => {
+    await group.save();
+
+    await User.findByIdAndUpdate(userId, { $addToSet: { groups: group._id } });
+
+    await recordEvent("group.member_added", { groupId: group._id, userId, addedBy: by });
+  });
+
+  broadcastRoles(io, group, [{ userId, role: "member" }], by);
+}
+
+/**
+ * Takes `userId` out of `group` and of the group's room, unlinking the group
+ * from the user's record.
+ */
+const removeParticipant = async (io, group, userId, by) => {
+  group.participants.pull(userId);
+  removeRole(group, userId);
+
+  await inTransaction(async () => {
+    await group.save();
+
+    await User.findByIdAndUpdate(userId, { $pull: { groups: group._id } });
+
+    await recordEvent("group.member_removed", { groupId: group._id, userId, removedBy: by });
+  });
+
+  broadcastRoles(io, group, [{ userId, role: null }], by);
+  io.in(userRoom(userId)).socketsLeave(String(group._id));
+}
+
+/**
+ * Takes `userId` out of `group` of their own accord and records it in the
+ * history. When the owner leaves, ownership passes to the longest-standing
+ * admin, or member if there are no admins. The last participant leaving
+ * deletes the group.
+ */
+const leaveGroup = async (io, group, userId) => {
+  if (group.participants.length === 1) {
+    return deleteGroup(io, group);
+  }
+
+  // Decided ahead of the transaction: once the user is out of the group,
+  // a retry could no longer tell who was the owner.
+  let newOwner = null;
+
+  if (roleOf(group, userId) === "owner") {
+    const remaining = group.participants.filter(p => !p.equals(userId));
+    newOwner = remaining.find(p => roleOf(group, p) === "admin") || remaining[0];
+    setRole(group, newOwner, "owner");
+  }
+
+  const actor = await User.findById(userId, "username");
+  const owner = newOwner && await User.findById(newOwner, "username");
+
+  await inTransaction(async () => {
+    await removeParticipant(io, group, userId, userId);
+
+    await postSystemMessage(io, group, userId, "group.member_left", `${actor.username} left the group`, {
+      userId
+    });
+
+    if (newOwner) {
+      broadcastRoles(io, group, [{ userId: newOwner, role: "owner" }], userId);
+      await postSystemMessage(io, group, userId, "group.owner_changed", `${owner?.username} is now the owner`, {
+        userId: newOwner
+      });
+    }
+  });
+}
+
+/**
+ * Deletes `group` with its messages, their attachments and its invites,
+ * unlinks it from every participant and empties its room.
+ */
+const deleteGroup = (io, group) => inTransaction(async () => {
+  const messages = await Message.find({ group: group._id }, "attachments");
+
+  await removeAttachments(messages.flatMap(m => m.attachments));
+  await Message.deleteMany({ group: group._id });
+  await Invite.deleteMany({ group: group._id });
+
+  await User.updateMany(
+    { _id: { $in: group.participants } },
+    { $pull: { groups: group._id } }
+  );
+
+  await Group.deleteOne({ _id: group._id });
+
+  await recordEvent("group.deleted", { groupId: group._id, participantIds: group.participants });
+
+  io.in(String(group._id)).socketsLeave(String(group._id));
+});
+
+module.exports = { addParticipant, removeParticipant, leaveGroup, deleteGroup };
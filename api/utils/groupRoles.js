@@ -0,0 +1,50 @@
+/**
+ * Returns the role of `userId` in `group`, or `null` when the user is not a
+ * participant. Groups created before roles existed have no role entries;
+ * their first participant counts as the owner.
+ */
+const roleOf = (group, userId) => {
+  if (!group.participants.some(p => p.equals(userId))) return null;
+
+  if (group.roles.length === 0) {
+    return group.participants[0].equals(userId) ? "owner" : "member";
+  }
+
+  return group.roles.find(r => r.user.equals(userId))?.role || "member";
+}
+
+const isAdmin = (group, userId) => ["owner", "admin"].includes(roleOf(group, userId));
+
+/**
+ * Records `role` for `userId`, replacing any previous role entry.
+ */
+const setRole = (group, userId, role) => {
+  if (group.roles.length === 0 && group.participants.length > 0) {
+    group.roles.push({ user: group.participants[0], role: "owner" });
+  }
+
+  const entry = group.roles.find(r => r.user.equals(userId));
+
+  if (entry) {
+    entry.role = role;
+  } else {
+    group.roles.push({ user: userId, role });
+  }
+}
+
+const removeRole = (group, userId) => {
+  group.roles = group.roles.filter(r => !r.user.equals(userId));
+}
+
+/**
+ * Tells the group room which participants changed role and who did it.
+ */
+const broadcastRoles = (io, group, changes, by) => {
+  io.to(String(group._id)).emit("groupRolesUpdated", {
+    groupId: group._id,
+    changes,
+    by
+  });
+}
+
+module.exports = { roleOf, isAdmin, setRole, removeRole, broadcastRoles };
@@ -0,0 +1,119 @@
+const mongoose = require("mongoose");
+
+const { Chat } = require("./../schema/chat");
+const { Group } = require("./../schema/group");
+const { Message } = require("./../schema/message");
+const { findConversationFor } = require("./conversation");
+const { parseLimit } = require("./pagination");
+const { toPreview } = require("./messages");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+const fetchPage = (Model, userId, cursorClause, pageSize) => Model.find({ participants: userId, ...cursorClause })
+  .sort({ lastActivityAt: -1, _id: -1 })
+  .limit(pageSize + 1)
+  .populate("participants", "_id username")
+  .populate({
+    path: "lastMessage",
+    select: "_id sender content attachments timestamp",
+    populate: { path: "sender", select: "_id username" }
+  });
+
+const countUnread = async (userId, chatIds, groupIds) => {
+  const counts = await Message.aggregate([
+    {
+      $match: {
+        $or: [{ chat: { $in: chatIds } }, { group: { $in: groupIds } }],
+        sender: { $ne: userId },
+        deletedAt: null,
+        hiddenFor: { $ne: userId },
+        "readBy.user": { $ne: userId }
+      }
+    },
+    { $group: { _id: { $ifNull: ["$chat", "$group"] }, count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(c => [String(c._id), c.count]));
+}
+
+const toEntry = (type, conversation, userId, unread) => {
+  const participants = conversation.participants.map(p => ({ id: p._id, username: p.username }));
+  const { lastMessage } = conversation;
+
+  return {
+    id: conversation._id,
+    type,
+    name: type === "group"
+      ? conversation.name
+      : participants.find(p => !p.id.equals(userId))?.username,
+    participants,
+    lastActivityAt: conversation.lastActivityAt,
+    lastMessage: lastMessage ? {
+      id: lastMessage._id,
+      preview: toPreview(lastMessage.content),
+      attachmentCount: lastMessage.attachments.length,
+      sender: lastMessage.sender
+        ? { id: lastMessage.sender._id, username: lastMessage.sender.username }
+        : null,
+      timestamp: lastMessage.timestamp
+    } : null,
+    unreadCount: unread.get(String(conversation._id)) || 0
+  };
+}
+
+/**
+ * Lists the chats and groups `userId` takes part in, most recently active
+ * first. `before` is the id of the last conversation of the previous page.
+ *
+ * Resolves to `null` when the cursor is not one of the user's conversations.
+ */
+const listInbox = async (userId, { before, limit } = {}) => {
+  const pageSize = parseLimit(limit, { fallback: DEFAULT_LIMIT, max: MAX_LIMIT });
+  const userObjectId = new mongoose.Types.ObjectId(String(userId));
+  let cursorClause = {};
+
+  if (before) {
+    const found = await findConversationFor(before, userId);
+    if (!found) return null;
+
+    const { _id } = found.conversation;
+    const { lastActivityAt } = await (found.type === "chat" ? Chat : Group).findById(_id, "lastActivityAt");
+
+    cursorClause = {
+      $or: [
+        { lastActivityAt: { $lt: lastActivityAt } },
+        { lastActivityAt, _id: { $lt: _id } }
+      ]
+    };
+  }
+
+  const [chats, groups] = await Promise.all([
+    fetchPage(Chat, userObjectId, cursorClause, pageSize),
+    fetchPage(Group, userObjectId, cursorClause, pageSize)
+  ]);
+
+  const merged = [
+    ...chats.map(c => ({ type: "chat", conversation: c })),
+    ...groups.map(g => ({ type: "group", conversation: g }))
+  ].sort((a, b) =>
+    (b.conversation.lastActivityAt - a.conversation.lastActivityAt)
+    || String(b.conversation._id).localeCompare(String(a.conversation._id))
+  );
+
+  const page = merged.slice(0, pageSize);
+  const hasMore = merged.length > pageSize;
+
+  const unread = await countUnread(
+    userObjectId,
+    page.filter(e => e.type === "chat").map(e => e.conversation._id),
+    page.filter(e => e.type === "group").map(e => e.conversation._id)
+  );
+
+  return {
+    conversations: page.map(e => toEntry(e.type, e.conversation, userObjectId, unread)),
+    nextCursor: hasMore ? page[page.length - 1].conversation._id : null
+  };
+}
+
+module.exports = { listInbox };
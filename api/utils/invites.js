@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+
+const { Invite } = require("./../schema/invite");
+const { User } = require("./../schema/user");
+const { notBlocking } = require("./blocks");
+const { ConflictError } = require("./../errors");
+const { userRoom } = require("./../socket/rooms");
+
+/**
+ * Shape of a pending invite as shown to its invitee. Expects `group` and
+ * `inviter` to be populated.
+ */
+const toInvitePayload = (invite) => ({
+  id: invite._id,
+  group: invite.group ? { id: invite.group._id, name: invite.group.name } : null,
+  inviter: invite.inviter ? { id: invite.inviter._id, username: invite.inviter.username } : null,
+  createdAt: invite.createdAt
+});
+
+const toLinkPayload = (invite) => ({
+  _id: invite._id,
+  token: invite.token,
+  expiresAt: invite.expiresAt,
+  maxUses: invite.maxUses,
+  uses: invite.uses
+});
+
+/**
+ * Query clause matching invite links that can still be used right now.
+ */
+const usableLinkQuery = () => ({
+  status: "pending",
+  $and: [
+    { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+    { $or: [{ maxUses: null }, { $expr: { $lt: ["$uses", "$maxUses"] } }] }
+  ]
+});
+
+/**
+ * Creates a pending invite of `inviteeId` to `group` and notifies the
+ * invitee. Resolves to `null` when no such user exists or the invitee
+ * blocked the inviter. A second pending invite for the same user fails with
+ * a `ConflictError`.
+ */
+const inviteUser = async (io, group, inviteeId, inviterId) => {
+  if (!mongoose.isValidObjectId(inviteeId)) return null;
+
+  const invitee = await User.exists({ _id: inviteeId, ...notBlocking(inviterId) });
+  if (!invitee) return null;
+
+  const invite = new Invite({ group: group._id, inviter: inviterId, invitee: inviteeId });
+
+  try {
+    await invite.save();
+  } catch (err) {
+    if (err.code === 11000) throw new ConflictError("User already has a pending invite.");
+    throw err;
+  }
+
+  await invite.populate([
+    { path: "group", select: "_id name" },
+    { path: "inviter", select: "_id username" }
+  ]);
+
+  io.to(userRoom(inviteeId)).emit("groupInvite", toInvitePayload(invite));
+
+  return invite;
+}
+
+module.exports = { inviteUser, toInvitePayload, toLinkPayload, usableLinkQuery };
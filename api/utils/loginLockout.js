@@ -0,0 +1,45 @@
+const { getRateLimitStore } = require("./../rateLimit");
+
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5;
+const LOCKOUT_BASE_MS = parseInt(process.env.LOGIN_LOCKOUT_BASE_MS, 10) || 60 * 1000;
+const LOCKOUT_MAX_MS = parseInt(process.env.LOGIN_LOCKOUT_MAX_MS, 10) || 60 * 60 * 1000;
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Failures are counted per username whether or not such an account exists,
+// so a lockout gives away nothing about which usernames are taken.
+const failuresKey = (username) => `login-failures:${username}`;
+const lockKey = (username) => `login-lock:${username}`;
+
+/**
+ * Resolves to the end of the current lockout of `username`, or `null`.
+ */
+const lockedUntil = async (username) => {
+  const lock = await getRateLimitStore().get(lockKey(username));
+  return lock ? lock.resetAt : null;
+}
+
+/**
+ * Counts a failed login for `username`. From the `LOGIN_LOCKOUT_THRESHOLD`th
+ * failure in a day on, every failure locks the account, each time twice as
+ * long as the previous one up to `LOGIN_LOCKOUT_MAX_MS`. Resolves to the end
+ * of the lockout, or `null` when the account is not locked.
+ */
+const recordFailure = async (username) => {
+  const store = getRateLimitStore();
+  const { count } = await store.hit(failuresKey(username), FAILURE_WINDOW_MS);
+
+  if (count < LOCKOUT_THRESHOLD) return null;
+
+  const duration = Math.min(LOCKOUT_BASE_MS * 2 ** (count - LOCKOUT_THRESHOLD), LOCKOUT_MAX_MS);
+  const until = new Date(Date.now() + duration);
+
+  await store.set(lockKey(username), 1, until);
+  return until;
+}
+
+const clearFailures = async (username) => {
+  const store = getRateLimitStore();
+  await Promise.all([store.reset(failuresKey(username)), store.reset(lockKey(username))]);
+}
+
+module.exports = { lockedUntil, recordFailure, clearFailures };
@@ -0,0 +1,84 @@
+const PREVIEW_LENGTH = 100;
+
+// Populated on every message sent back to clients.
+const MESSAGE_POPULATE = [
+  { path: "sender", select: "_id username" },
+  { path: "reactions.user", select: "_id username" },
+  { path: "attachments", select: "_id name mimeType size checksum" },
+  {
+    path: "replyTo",
+    select: "_id sender content timestamp deletedAt",
+    populate: { path: "sender", select: "_id username" }
+  }
+];
+
+const toPreview = (content = "") => content.slice(0, PREVIEW_LENGTH);
+
+/**
+ * Compact form of a quoted message, enough to render the quote above a reply.
+ */
+const toQuote = (replyTo) => {
+  if (!replyTo?.timestamp) return replyTo;
+
+  return {
+    _id: replyTo._id,
+    sender: replyTo.sender,
+    preview: toPreview(replyTo.content),
+    timestamp: replyTo.timestamp,
+    deletedAt: replyTo.deletedAt
+  };
+}
+
+/**
+ * Groups raw `{ emoji, user }` reactions into one entry per emoji, in the
+ * order each emoji was first used.
+ */
+const summarizeReactions = (reactions = []) => {
+  const byEmoji = new Map();
+
+  reactions.forEach(({ emoji, user }) => {
+    if (!byEmoji.has(emoji)) byEmoji.set(emoji, { emoji, count: 0, users: [] });
+
+    const entry = byEmoji.get(emoji);
+    entry.count += 1;
+    entry.users.push(user?.username !== undefined ? { id: user._id, username: user.username } : { id: user });
+  });
+
+  return [...byEmoji.values()];
+}
+
+/**
+ * Shapes a message for API responses and socket events: drops who hid it
+ * for themselves, aggregates its reactions and shortens the quoted message.
+ */
+const toMessagePayload = (message) => {
+  const { hiddenFor, reactions, replyTo, ...payload } = message.toObject();
+
+  return {
+    ...payload,
+    replyTo: toQuote(replyTo),
+    reactions: summarizeReactions(reactions)
+  };
+}
+
+const idOf = (ref) => ref?._id ?? ref ?? null;
+
+/**
+ * Data of the `message.*` events, the same whether or not `message` is
+ * populated.
+ */
+const toMessageEventData = (message) => ({
+  messageId: message._id,
+  chatId: idOf(message.chat),
+  groupId: idOf(message.group),
+  senderId: idOf(message.sender),
+  kind: message.kind,
+  content: message.content,
+  replyTo: idOf(message.replyTo),
+  attachmentIds: message.attachments.map(idOf),
+  sentAt: message.timestamp,
+  editedAt: message.editedAt || null,
+  deletedAt: message.deletedAt || null
+});
+
+module.exports = { MESSAGE_POPULATE, toPreview, summarizeReactions, toMessagePayload, toMessageEventData };
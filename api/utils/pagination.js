@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+
+const { Message } = require("./../schema/message");
+const { MESSAGE_POPULATE, toMessagePayload } = require("./messages");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+/**
+ * Turns a `limit` query parameter into a page size, falling back to
+ * `fallback` for missing or invalid values and capping it at `max`.
+ */
+const parseLimit = (limit, { fallback = DEFAULT_LIMIT, max = MAX_LIMIT } = {}) => {
+  const parsed = parseInt(limit, 10);
+  if (Number.isNaN(parsed) || parsed < 1) return fallback;
+  return Math.min(parsed, max);
+}
+
+/**
+ * Pages through the messages matching `filter` (a `{ chat }` or `{ group }`
+ * clause) ordered by `timestamp`, using message ids as cursors.
+ *
+ * Without a cursor the newest page is returned. `before` walks back in time
+ * and `after` walks forward; either way the page is sorted newest-first.
+ * `nextCursor` is the id to pass as the same cursor to continue, or `null`
+ * once there is nothing left in that direction.
+ *
+ * Messages `viewerId` hid for themselves are skipped, prior revisions are
+ * left out of the page and reactions come aggregated per emoji.
+ *
+ * Resolves to `null` when the cursor is not a message of this conversation.
+ */
+const paginateMessages = async (filter, viewerId, { before, after, limit } = {}) => {
+  const pageSize = parseLimit(limit);
+  const cursorId = before || after;
+  const query = { ...filter, hiddenFor: { $ne: viewerId } };
+
+  if (cursorId) {
+    if (!mongoose.isValidObjectId(cursorId)) return null;
+
+    const cursor = await Message.findOne({ ...filter, _id: cursorId }, "_id timestamp");
+    if (!cursor) return null;
+
+    const op = before ? "$lt" : "$gt";
+    query.$or = [
+      { timestamp: { [op]: cursor.timestamp } },
+      { timestamp: cursor.timestamp, _id: { [op]: cursor._id } }
+    ];
+  }
+
+  const direction = after && !before ? 1 : -1;
+
+  const messages = await Message.find(query)
+    .sort({ timestamp: direction, _id: direction })
+    .limit(pageSize + 1)
+    .select("-revisions")
+    .populate(MESSAGE_POPULATE);
+
+  const hasMore = messages.length > pageSize;
+  if (hasMore) messages.pop();
+
+  const nextCursor = hasMore ? messages[messages.length - 1]._id : null;
+
+  if (direction === 1) messages.reverse();
+
+  return { messages: messages.map(toMessagePayload), nextCursor };
+}
+
+module.exports = { paginateMessages, parseLimit };
@@ -0,0 +1,50 @@
+const { Message } = require("./../schema/message");
+
+/**
+ * Adds a read receipt for `userId` to every message matching `query` that
+ * the user neither sent nor already read, then tells the conversation room
+ * through a `messagesRead` event. All matched messages must belong to the
+ * same chat or group.
+ */
+const recordReads = async (io, userId, query) => {
+  const readAt = new Date();
+  const unread = await Message.find({
+    ...query,
+    sender: { $ne: userId },
+    "readBy.user": { $ne: userId }
+  }, "_id chat group");
+
+  const messageIds = unread.map(m => m._id);
+
+  if (messageIds.length === 0) return { readAt, messageIds };
+
+  await Message.updateMany(
+    { _id: { $in: messageIds }, "readBy.user": { $ne: userId } },
+    { $push: { readBy: { user: userId, readAt } } }
+  );
+
+  const { chat, group } = unread[0];
+
+  io.to(String(chat || group)).emit("messagesRead", {
+    chat,
+    group,
+    reader: userId,
+    readAt,
+    messageIds
+  });
+
+  return { readAt, messageIds };
+}
+
+/**
+ * Marks `message` and every earlier message of its conversation as read.
+ */
+const markReadUpTo = (io, userId, message) => recordReads(io, userId, {
+  ...(message.chat ? { chat: message.chat } : { group: message.group }),
+  $or: [
+    { timestamp: { $lt: message.timestamp } },
+    { timestamp: message.timestamp, _id: { $lte: message._id } }
+  ]
+});
+
+module.exports = { recordReads, markReadUpTo };
@@ -0,0 +1,102 @@
+const validator = require("validator");
+
+/**
+ * Building blocks for `validate` schemas. A rule checks one value and
+ * resolves to why it is invalid, or to nothing. Rules are required unless
+ * wrapped in `optional`; `nullable` also lets `null` through, for fields
+ * where it means "clear this".
+ */
+const rule = (check) => ({ check, required: true, nullable: false });
+
+const optional = (r) => ({ ...r, required: false });
+
+const nullable = (r) => ({ ...r, required: false, nullable: true });
+
+/**
+ * Wraps a predicate into a rule failing with `message`.
+ */
+const check = (predicate, message) => rule(v => predicate(v) ? undefined : message);
+
+const isString = (v) => typeof v === "string";
+
+const objectId = () => check(v => isString(v) && validator.isMongoId(v), "must be a valid ID");
+
+const string = ({ min = 1, max } = {}) => rule(v => {
+  if (!isString(v)) return "must be a string";
+  if (v.trim().length < min) return min === 1 ? "must not be blank" : `must be at least ${min} characters long`;
+  if (max !== undefined && v.length > max) return `must be at most ${max} characters long`;
+});
+
+/**
+ * Integers, given either as JSON numbers or, in query strings, as digits.
+ */
+const int = ({ min, max } = {}) => rule(v => {
+  const isInt = (typeof v === "number" && Number.isInteger(v)) || (isString(v) && validator.isInt(v));
+  if (!isInt) return "must be an integer";
+
+  const n = Number(v);
+  if (min !== undefined && n < min) return `must be at least ${min}`;
+  if (max !== undefined && n > max) return `must be at most ${max}`;
+});
+
+const boolean = () => check(v => typeof v === "boolean", "must be true or false");
+
+const date = () => check(v => isString(v) && validator.isISO8601(v), "must be an ISO 8601 date");
+
+const url = () => check(v => isString(v) && validator.isURL(v), "must be a valid URL");
+
+/**
+ * Arrays whose every item passes `item`. Failing items are reported on their
+ * own, as `field[index]`.
+ */
+const array = (item, { min = 0, max } = {}) => rule(v => {
+  if (!Array.isArray(v)) return "must be a list";
+  if (v.length < min) return `must contain at least ${min} item${min === 1 ? "" : "s"}`;
+  if (max !== undefined && v.length > max) return `must contain at most ${max} items`;
+
+  const failures = v
+    .map((value, index) => ({ index, message: item.check(value) }))
+    .filter(f => f.message)
+    .map(f => ({ suffix: `[${f.index}]`, message: f.message }));
+
+  return failures.length > 0 ? failures : undefined;
+});
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+const username = () => rule(v => {
+  if (!isString(v)) return "must be a string";
+  if (!validator.isLength(v, { min: 3, max: 32 })) return "must be 3 to 32 characters long";
+  if (!USERNAME_PATTERN.test(v)) return "may only contain letters, digits, '.', '_' and '-'";
+});
+
+const password = () => rule(v => {
+  if (!isString(v)) return "must be a string";
+  if (!validator.isLength(v, { min: 8, max: 128 })) return "must be 8 to 128 characters long";
+  if (!/[A-Za-z]/.test(v) || !/[0-9]/.test(v)) return "must contain at least one letter and one digit";
+});
+
+/**
+ * Query parameters of cursor-paginated message lists.
+ */
+const pageQuery = {
+  before: optional(objectId()),
+  after: optional(objectId()),
+  limit: optional(int({ min: 1 }))
+};
+
+module.exports = {
+  optional,
+  nullable,
+  check,
+  objectId,
+  string,
+  int,
+  boolean,
+  date,
+  url,
+  array,
+  username,
+  password,
+  pageQuery
+};
@@ -0,0 +1,48 @@
+const SNIPPET_RADIUS = 60;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Splits a MongoDB `$text` search string into the words worth highlighting,
+ * dropping negated terms and quote characters.
+ */
+const searchTerms = (q) => q
+  .split(/\s+/)
+  .filter(term => term && !term.startsWith("-"))
+  .map(term => term.replace(/"/g, ""))
+  .filter(Boolean);
+
+/**
+ * Cuts the part of `content` around the first search hit and returns it with
+ * the `[start, end)` offsets of every hit inside that snippet. When no term
+ * appears literally (e.g. the index matched a stemmed form) the snippet is
+ * the start of the content, without highlights.
+ */
+const buildSnippet = (content, terms) => {
+  if (terms.length === 0) {
+    return { snippet: content.slice(0, SNIPPET_RADIUS * 2), highlights: [] };
+  }
+
+  const pattern = new RegExp(terms.map(escapeRegExp).join("|"), "gi");
+  const first = pattern.exec(content);
+  const center = first ? first.index : 0;
+
+  const start = Math.max(0, center - SNIPPET_RADIUS);
+  const end = Math.min(content.length, center + SNIPPET_RADIUS);
+  const snippet = content.slice(start, end);
+
+  const highlights = [];
+  const inSnippet = new RegExp(pattern.source, "gi");
+  let match;
+
+  while ((match = inSnippet.exec(snippet)) !== null) {
+    highlights.push([match.index, match.index + match[0].length]);
+  }
+
+  return {
+    snippet: `${start > 0 ? "…" : ""}${snippet}${end < content.length ? "…" : ""}`,
+    highlights: start > 0 ? highlights.map(([s, e]) => [s + 1, e + 1]) : highlights
+  };
+}
+
+module.exports = { searchTerms, buildSnippet };
@@ -0,0 +1,146 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+const { Session } = require("./../schema/session");
+const { disconnectSessions } = require("./../socket/sessions");
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const LAST_ACTIVE_RESOLUTION_MS = 60 * 1000;
+// Replays of older tokens than these go unnoticed; by then the token has
+// long been rotated away on every device that held it.
+const MAX_PREVIOUS_TOKEN_HASHES = 20;
+
+const hashToken = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Refresh tokens read `<sessionId>.<secret>`, so the session can be found
+ * without scanning hashes.
+ */
+const issueTokens = (session, secret) => ({
+  token: jwt.sign({ userId: session.user, sessionId: session._id }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL }),
+  refreshToken: `${session._id}.${secret}`,
+  refreshTokenExpiresAt: session.expiresAt
+});
+
+/**
+ * Address of the client behind `req`, as resolved by Express from the
+ * `trust proxy` setting: only `X-Forwarded-For` entries appended by our own
+ * proxies count, since the client controls the rest.
+ */
+const clientIp = (req) => req.ip || req.socket?.remoteAddress;
+
+/**
+ * Describes the device behind `req`.
+ */
+const deviceOf = (req) => ({ userAgent: req.headers["user-agent"], ip: clientIp(req) });
+
+/**
+ * Opens a session for `userId` on the device described by `device` and
+ * resolves to its first token pair.
+ */
+const createSession = async (userId, device = {}) => {
+  const secret = crypto.randomBytes(32).toString("hex");
+
+  const session = new Session({
+    user: userId,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: refreshExpiry(),
+    userAgent: device.userAgent,
+    ip: device.ip
+  });
+  await session.save();
+
+  return issueTokens(session, secret);
+}
+
+/**
+ * Revokes the sessions matching `filter` and disconnects their sockets.
+ * Resolves to the number of sessions revoked.
+ */
+const revokeSessions = async (io, filter, reason) => {
+  const sessions = await Session.find({ ...filter, revokedAt: null }, "_id");
+  const ids = sessions.map(s => s._id);
+
+  if (ids.length === 0) return 0;
+
+  await Session.updateMany({ _id: { $in: ids } }, { revokedAt: new Date(), revokedReason: reason });
+  disconnectSessions(io, ids.map(String));
+
+  return ids.length;
+}
+
+/**
+ * Trades a refresh token for a new token pair, invalidating the old refresh
+ * token. Presenting a refresh token that was already rotated away means it
+ * leaked, so the whole session is revoked. Resolves to `null` whenever no
+ * tokens are issued.
+ */
+const rotateSession = async (io, refreshToken) => {
+  const [sessionId, secret] = String(refreshToken).split(".");
+
+  if (!secret || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+
+  const hash = hashToken(secret);
+  const nextSecret = crypto.randomBytes(32).toString("hex");
+
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      refreshTokenHash: hashToken(nextSecret),
+      $push: { previousTokenHashes: { $each: [hash], $slice: -MAX_PREVIOUS_TOKEN_HASHES } },
+      expiresAt: refreshExpiry(),
+      lastActiveAt: new Date()
+    },
+    { new: true }
+  );
+
+  if (session) return issueTokens(session, nextSecret);
+
+  const reused = await Session.exists({ _id: sessionId, previousTokenHashes: hash });
+
+  if (reused) await revokeSessions(io, { _id: sessionId }, "reuse-detected");
+
+  return null;
+}
+
+/**
+ * Resolves to the user ID and session ID of a valid access token, or `null`
+ * when the token is invalid, expired or belongs to a revoked session.
+ */
+const verifyAccessToken = async (token) => {
+  let decoded;
+
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  if (!decoded.sessionId) return null;
+
+  const active = await Session.exists({ _id: decoded.sessionId, user: decoded.userId, revokedAt: null });
+
+  if (!active) return null;
+
+  touchSession(decoded.sessionId);
+
+  return { userId: decoded.userId, sessionId: decoded.sessionId };
+}
+
+/**
+ * Bumps `lastActiveAt`, at most once per minute per session. Failures are
+ * ignored since they must not fail the request.
+ */
+const touchSession = (sessionId) => {
+  const now = new Date();
+
+  Session.updateOne(
+    { _id: sessionId, lastActiveAt: { $lt: new Date(now - LAST_ACTIVE_RESOLUTION_MS) } },
+    { lastActiveAt: now }
+  ).catch(() => {});
+}
+
+module.exports = { clientIp, deviceOf, createSession, rotateSession, revokeSessions, verifyAccessToken };
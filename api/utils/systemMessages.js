@@ -0,0 +1,38 @@
+const { Message } = require("./../schema/message");
+const { Group } = require("./../schema/group");
+const { MESSAGE_POPULATE, toMessagePayload, toMessageEventData } = require("./messages");
+const { recordEvent } = require("./events");
+const { inTransaction } = require("./transaction");
+
+/**
+ * Records a group event in the group's history as a system message sent on
+ * behalf of `actorId`, and pushes it to the group room like any new message.
+ * `type` identifies the event for clients, `content` is its readable form.
+ */
+const postSystemMessage = (io, group, actorId, type, content, data = {}) => inTransaction(async () => {
+  const message = new Message({
+    sender: actorId,
+    kind: "system",
+    systemEvent: { type, data },
+    content,
+    group: group._id
+  });
+
+  await message.save();
+
+  await Group.findByIdAndUpdate(group._id, {
+    $push: { messages: message._id },
+    lastMessage: message._id,
+    lastActivityAt: message.timestamp
+  });
+
+  await recordEvent("message.created", toMessageEventData(message));
+
+  const payload = toMessagePayload(await message.populate(MESSAGE_POPULATE));
+
+  io.to(String(group._id)).emit("newMessage", payload);
+
+  return payload;
+});
+
+module.exports = { postSystemMessage };
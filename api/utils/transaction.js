@@ -0,0 +1,57 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const mongoose = require("mongoose");
+
+// Lets Mongoose operations join the transaction they run in without being
+// handed its session.
+mongoose.set("transactionAsyncLocalStorage", true);
+
+// Callbacks waiting for the transaction of the current attempt to commit.
+const pendingCallbacks = new AsyncLocalStorage();
+
+const runCallback = (callback) => {
+  Promise.resolve()
+    .then(callback)
+    .catch((err) => console.log("[TRANSACTION] After-commit callback failed!\n", err));
+}
+
+/**
+ * Runs `fn` in a MongoDB transaction, retried as a whole on transient
+ * errors, and resolves to what it returns. Mongoose operations awaited
+ * inside it take part in the transaction. Calls made while a transaction is
+ * already running simply join it.
+ */
+const inTransaction = async (fn) => {
+  if (pendingCallbacks.getStore()) return fn();
+
+  let callbacks;
+  let result;
+
+  await mongoose.connection.transaction(async () => {
+    callbacks = [];
+    result = await pendingCallbacks.run(callbacks, fn);
+  });
+
+  callbacks.forEach(runCallback);
+
+  return result;
+}
+
+/**
+ * Runs `callback` once the current transaction has committed, and not at
+ * all if it aborts. Outside a transaction it runs right away and its result
+ * is returned.
+ */
+const afterCommit = (callback) => {
+  const callbacks = pendingCallbacks.getStore();
+
+  if (!callbacks) return callback();
+
+  callbacks.push(callback);
+}
+
+/**
+ * Whether the caller runs inside `inTransaction`.
+ */
+const isInTransaction = () => pendingCallbacks.getStore() !== undefined;
+
+module.exports = { inTransaction, afterCommit, isInTransaction };
@@ -0,0 +1,36 @@
+require("dotenv").config()
+const http = require("http");
+const mongoose = require("mongoose");
+
+const { getEventTransport } = require("./../api/events");
+const { createRealtimeServer } = require("./../api/socket");
+const presenceSocketHandler = require("./../api/socket/presence");
+
+const PORT = process.env.REALTIME_SERVICE_PORT;
+
+// Socket.IO answers its own path; anything else reaching this service is a
+// wrong turn.
+const server = http.createServer((req, res) => {
+  res.writeHead(404).end();
+});
+
+const transport = getEventTransport();
+
+if (transport.name === "memory") {
+  console.log("[REALTIME_SERVICE] EVENT_TRANSPORT is memory: deliveries from the API will not reach this service.");
+}
+
+const realtime = createRealtimeServer(server, transport);
+
+realtime
+  .then(() => server.listen(PORT, () => console.log(`[REALTIME_SERVICE] Listening on port: ${PORT}`)))
+  .catch((err) => {
+    console.log("[REALTIME_SERVICE] Starting failed!\n", err);
+    process.exit(1);
+  });
+
+mongoose.connect(process.env.DB_URI)
+  .then(() => console.log("[DATABASE] Connected"))
+  .then(() => realtime)
+  .then((io) => presenceSocketHandler.resetPresence(io))
+  .catch((err) => console.log("[DATABASE] Connection failed!\n", err));
@@ -0,0 +1,49 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const { User } = require('./../api/schema/user');
+const { FriendRequest } = require('./../api/schema/friendRequest');
+
+/**
+ * Moves the requests still pending in the legacy `friendRequests` array of
+ * each user, which held the ids of whoever asked them, into FriendRequest
+ * documents, then drops the array. Requests between users who became
+ * friends since are discarded. Safe to run again: requests already moved
+ * are not duplicated.
+ */
+const migrate = async () => {
+  const users = User.collection.find(
+    { friendRequests: { $exists: true } },
+    { projection: { friends: 1, friendRequests: 1 } }
+  );
+
+  let moved = 0;
+
+  for await (const user of users) {
+    const friends = new Set((user.friends || []).map(String));
+
+    for (const from of user.friendRequests || []) {
+      if (friends.has(String(from))) continue;
+
+      const { upsertedCount } = await FriendRequest.updateOne(
+        { from, to: user._id, status: 'pending' },
+        { $setOnInsert: { from, to: user._id, status: 'pending' } },
+        { upsert: true }
+      );
+      moved += upsertedCount;
+    }
+
+    await User.collection.updateOne({ _id: user._id }, { $unset: { friendRequests: '' } });
+  }
+
+  return moved;
+}
+
+mongoose.connect(process.env.DB_URI)
+  .then(migrate)
+  .then((moved) => console.log(`[MIGRATION] Moved ${moved} pending friend requests`))
+  .catch((err) => {
+    console.log('[MIGRATION] Failed!\n', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
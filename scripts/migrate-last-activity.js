@@ -0,0 +1,50 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const { Chat } = require('./../api/schema/chat');
+const { Group } = require('./../api/schema/group');
+const { Message } = require('./../api/schema/message');
+
+/**
+ * Fills in `lastMessage` and `lastActivityAt` on the chats and groups
+ * created before the inbox tracked them, from their newest message. A
+ * conversation without messages was last active when it was created. Only
+ * conversations still missing `lastActivityAt` are touched, so it is safe
+ * to run again.
+ */
+const backfill = async (Model, field) => {
+  const conversations = Model.collection.find(
+    { lastActivityAt: { $exists: false } },
+    { projection: { _id: 1, createdAt: 1 } }
+  );
+
+  let updated = 0;
+
+  for await (const conversation of conversations) {
+    const newest = await Message.findOne({ [field]: conversation._id }, '_id timestamp')
+      .sort({ timestamp: -1, _id: -1 });
+
+    await Model.collection.updateOne({ _id: conversation._id }, {
+      $set: newest
+        ? { lastMessage: newest._id, lastActivityAt: newest.timestamp }
+        : { lastActivityAt: conversation.createdAt || conversation._id.getTimestamp() }
+    });
+    updated++;
+  }
+
+  return updated;
+}
+
+const migrate = async () => ({
+  chats: await backfill(Chat, 'chat'),
+  groups: await backfill(Group, 'group')
+});
+
+mongoose.connect(process.env.DB_URI)
+  .then(migrate)
+  .then(({ chats, groups }) => console.log(`[MIGRATION] Backfilled ${chats} chats and ${groups} groups`))
+  .catch((err) => {
+    console.log('[MIGRATION] Failed!\n', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());